@@ -7,23 +7,48 @@
  *
  * Structure:
  * - defaultState / state: user preferences (persisted to localStorage unless guestMode)
+ * - STATE_SCHEMA / STATE_MIGRATIONS: stored and imported state carries schemaVersion; older data is migrated, invalid values dropped
  * - API: optional backend (apiBase) for dictionary, TTS, translate, preferences
  * - translateApiUrl: optional LibreTranslate-style endpoint (default OSS Translate); fallback apiBase then MyMemory
  * - Panel: settings UI; toolbar: floating button + position
  * - Dictionary: double-click word -> modal with word, definition, and Play word/Play definition audio
+ * - Easy read: simplifiedWords swaps difficult words (SIMPLIFIED_WORDS) for plain ones with definitions, one roving tab stop.
  * - TTS: browser SpeechSynthesis or server for Read page, Speak selection, dictionary modal
  *
  * Features:
  * - Mute sound: when enabled, all TTS and audio playback is suppressed (Test voice still plays for preview).
  * - Voice: select from all browser voices (grouped by language); "Test voice" plays a sample.
  * - Voice navigation: optional SpeechRecognition for hands-free commands (open/close, read page, stop, etc.).
- * - Keyboard: Alt+A (Windows) / Option+A (Mac) to open/close; Escape to close; Tab/focus trap in panel; R/S in panel for Read/Stop.
- * - Presets: built-in (High contrast, Reading, Minimal, Focus) and user-saved presets; apply via dropdown or API.
+ * - Keyboard: Alt+A / Option+A to open/close; Escape to close; focus trap in panel; R/S for Read/Stop; Alt+G focuses the reading guide handle.
+ * - Presets: built-in and user-saved presets; apply via dropdown or API; "Manage presets" dialog edits, reorders and deletes them.
+ * - Dark theme: colorFilter 'dark' recolors page backgrounds, text and borders with generated [data-oa-dark] rules.
+ * - Contrast fix: contrastFix 'aa' / 'aaa' adjusts text lightness to WCAG ratios; api.getContrastReport() lists each change.
+ * - Filters: sliders, colorCorrection and colorFilter form one filter chain on page subtrees, never on the widget UI.
+ * - Color-blind correction: colorCorrection daltonizes through the #oa-correction SVG matrix, scaled by colorCorrectionStrength.
+ * - Color theme: theme* colors set --oa-theme-* properties on .openaccessible-widget-root.
+ * - Schedule: time ranges (optionally weekdays) apply presets; a manual change lasts until the next boundary.
+ * - Preset packs: several presets in one versioned JSON file (PRESET_PACK_FORMAT) for export and import.
+ * - Host policy: config presets, hideBuiltinPresets, lockedKeys and hiddenKeys.
+ * - Share links: ?oa=preset:<id> or ?oa=state:<base64url JSON> is applied at init; "Copy share link" in Settings.
+ * - Follow my system: opt-in followSystem applies SYSTEM_PREFERENCE_RULES to settings the user has not chosen (userKeys).
+ * - Undo/redo: panel, preset, setState, import and reset changes are undoable (HISTORY_LIMIT steps).
+ * - Profiles: config profiles map path patterns to sections with their own stored settings.
+ * - Cross-tab sync: saved preference and preset changes apply live in other tabs (storage event).
  * - Translation: OSS Translate (LibreTranslate API), then apiBase action=translate, then MyMemory; chunked for long text.
  * - Extended languages: LANGUAGES list for TTS language and Translate target (40+ languages).
+ * - Localization: UI locale from config, <html lang> or navigator.languages; locale files load on demand; api.setLocale(code).
+ * - Text spacing (WCAG 1.4.12): numeric lineHeight, paragraphSpacing, letterSpacing and wordSpacing; textSpacingTest applies the minimums.
+ * - Reading guide and mask: readingGuide ruler and focusStrip mask share one reading line that follows pointer or caret.
+ * - Reflow (WCAG 1.4.10): reflow tags elements data-oa-reflow to make one column with no sideways scrolling.
+ * - Fonts: fontFamily picks a bundled font (FONT_FAMILIES, fonts/ or fontBaseUrl), a system sans or a serif.
+ * - Direction: the widget UI mirrors for RTL locales or pages; config direction forces ltr/rtl.
  * - Utilities: debounce, throttle, getPreferredColorScheme, getPreferredReducedMotion, hasAccessibleLabel, getControlLabel.
- * - Public API: init() returns { getState, setState, openPanel, closePanel, reset, stopTTS, getPresets, applyPreset, saveCurrentAsPreset, deletePreset, showKeyboardShortcuts, showAbout, translate, version, events }.
- * - Events: openaccessible:ready, openaccessible:change, openaccessible:preset:apply, openaccessible:tts:start, openaccessible:tts:stop, openaccessible:translate:start, openaccessible:translate:done.
+ * - Public API: init() returns { getState, setState, openPanel, closePanel, reset, stopTTS, getPresets, applyPreset, saveCurrentAsPreset, deletePreset,
+ *   showKeyboardShortcuts, showAbout, showPresetManager, getContrastReport, exportPresetPack, importPresetPack, getSchedule, setSchedule,
+ *   getScheduleStatus, resumeSchedule, undo, redo, getShareLink, copyShareLink, getProfiles, clearProfile, setProfileScope, setLocale, getLocale,
+ *   translate, version, events }.
+ * - Events: openaccessible:ready, openaccessible:change, openaccessible:preset:apply, openaccessible:tts:start, openaccessible:tts:stop,
+ *   openaccessible:translate:start, openaccessible:translate:done, openaccessible:locale.
  */
  (function (global) {
   'use strict';
@@ -31,14 +56,26 @@
   // --- Constants ---
   const STORAGE_KEY = 'openaccessible_prefs';  // localStorage key for persisted preferences
   const WIDGET_VERSION = '1.0.0';
+  const STATE_SCHEMA_VERSION = 4;  // bump with a STATE_MIGRATIONS entry whenever a state key is renamed or retyped
   const ICON_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512" role="img" aria-label="Universal Access icon - body moved up more"><circle cx="256" cy="256" r="220" fill="#0F172A"/><circle cx="256" cy="256" r="240" fill="none" stroke="#22D3EE" stroke-width="14"/><circle cx="256" cy="256" r="220" fill="none" stroke="#22D3EE" stroke-width="8" opacity="0.75"/><g transform="translate(0,-22)" fill="none" stroke="#FFFFFF" stroke-linecap="round" stroke-linejoin="round"><circle cx="256" cy="150" r="44" fill="#FFFFFF" stroke="none"/><g stroke="#0F172A" stroke-width="14" stroke-linecap="round"><circle cx="238" cy="142" r="10" fill="#0F172A" stroke="none"/><circle cx="274" cy="142" r="10" fill="#0F172A" stroke="none"/><path d="M256 152 L254 162" fill="none"/><path d="M238 172 Q256 188 274 172" fill="none"/></g><path d="M132 224 L380 224" stroke-width="36"/><path d="M256 210 V334" stroke-width="44"/><path d="M256 334 L206 432" stroke-width="36"/><path d="M256 334 L306 432" stroke-width="36"/><path d="M206 444 L172 444" stroke-width="30"/><path d="M306 444 L340 444" stroke-width="30"/></g></svg>';
   const TrasU = ''; // TransU
 
   // --- Default state (all user preferences) ---
   const defaultState = {
-    colorFilter: 'none',           // none | grayscale | invert | sepia | protanopia | deuteranopia | tritanopia | dark | light
-    dyslexiaFont: false,
+    colorFilter: 'none',           // none | grayscale | invert | sepia | protanopia | deuteranopia | tritanopia | dark | light (the three CVD values simulate, for designers)
+    colorCorrection: 'none',       // none | protanopia | deuteranopia | tritanopia | achromatopsia: daltonization filter for color-blind users
+    colorCorrectionStrength: 100,  // 0-100 (%): how far colorCorrection moves colors
+    fontFamily: '',                // '' = site font | opendyslexic | atkinson | lexend | system-sans | serif (see FONT_FAMILIES)
     contrast: 1,                   // 1 = normal, higher = more contrast
+    saturation: 1,                 // 0-2: 0 = no color, below 1 calms colors, above 1 intensifies them
+    brightness: 1,                 // 0.5-1.5: 1 = normal
+    hueRotate: 0,                  // 0-360 degrees around the color wheel
+    themeText: '',                 // custom theme colors ('#rrggbb', '' = site colors): text, background, links, visited links, focus ring
+    themeBackground: '',
+    themeLink: '',
+    themeVisited: '',
+    themeFocus: '',
+    contrastFix: 'off',            // off | aa | aaa: adjust text/background colors to WCAG 4.5:1 / 7:1 (3:1 / 4.5:1 for large text)
     fontSize: 100,                 // %
     cursorSize: 'default',         // default | large | xl
     highlightLinks: false,
@@ -55,30 +92,134 @@
     reduceMotion: false,
     underlineLinks: false,
     readingGuide: false,
-    readingGuidePos: 0,
+    readingGuidePos: 0,            // starting line of the reading guide and mask, px from the viewport top (0 = a third of the way down)
+    readingGuideFollow: 'pointer', // pointer | caret | none: what moves the guide and mask (arrow keys and dragging always do)
     toolbarPosition: 'bottom-right', // top-left | top-right | bottom-left | bottom-right
     dictionaryEnabled: false,
     simplifiedWords: false,
     screenReaderHints: true,
-    letterSpacing: 'normal',       // normal | wide | wider
-    lineHeight: 'normal',          // normal | relaxed | loose
-    wordSpacing: 'normal',
+    followSystem: false,           // apply SYSTEM_PREFERENCE_RULES for OS settings (contrast, motion, ...) the user has not set here
+    letterSpacing: 0,              // extra letter spacing in em (0 = site spacing; WCAG 1.4.12: 0.12)
+    lineHeight: 0,                 // line height as a multiple of the font size (0 = site line height; WCAG 1.4.12: 1.5)
+    wordSpacing: 0,                // extra word spacing in em (0 = site spacing; WCAG 1.4.12: 0.16)
+    paragraphSpacing: 0,           // space after paragraphs in em (0 = site spacing; WCAG 1.4.12: 2)
+    textSpacingTest: false,        // apply exactly the WCAG 1.4.12 values (TEXT_SPACING wcag) instead of the four above
     highlightAsRead: false,         // highlight words as TTS speaks
     translateTargetLang: '',        // e.g. es, fr
     monospaceFont: false,
     focusStrip: false,
+    focusStripHeight: 120,         // reading mask: height of the clear window in px
+    focusStripOpacity: 0.55,       // reading mask: opacity of the dimmed area
+    focusStripColor: '#000000',    // reading mask: tint of the dimmed area
     enlargeFocus: false,
     showLinkUrl: false,
     reduceTransparency: false,
     highlightForms: false,
 contentWidth: 'full',          // full | narrow | narrower
+    reflow: false,                 // reflow mode (WCAG 1.4.10): one column, contained tables, no fixed bars, wrapped long strings
     guestMode: false,         // when true, do not persist to localStorage
     lastPresetName: null,     // last applied preset name for UI
   };
 
+  // --- Typed state schema (mirrors "State keys and types" in the function index); used to validate stored/imported state ---
+  // type: boolean | number | string; values: allowed strings; min/max: numeric clamp; nullable: null allowed; format 'color': '#rrggbb' or ''.
+  const STATE_SCHEMA = {
+    colorFilter: { type: 'string', values: ['none', 'grayscale', 'invert', 'sepia', 'protanopia', 'deuteranopia', 'tritanopia', 'dark', 'light'] },
+    colorCorrection: { type: 'string', values: ['none', 'protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'] },
+    colorCorrectionStrength: { type: 'number', min: 0, max: 100 },
+    fontFamily: { type: 'string', values: ['', 'opendyslexic', 'atkinson', 'lexend', 'system-sans', 'serif'] },
+    contrast: { type: 'number', min: 1, max: 2 },
+    saturation: { type: 'number', min: 0, max: 2 },
+    brightness: { type: 'number', min: 0.5, max: 1.5 },
+    hueRotate: { type: 'number', min: 0, max: 360 },
+    contrastFix: { type: 'string', values: ['off', 'aa', 'aaa'] },
+    themeText: { type: 'string', format: 'color' },
+    themeBackground: { type: 'string', format: 'color' },
+    themeLink: { type: 'string', format: 'color' },
+    themeVisited: { type: 'string', format: 'color' },
+    themeFocus: { type: 'string', format: 'color' },
+    fontSize: { type: 'number', min: 80, max: 150 },
+    cursorSize: { type: 'string', values: ['default', 'large', 'xl'] },
+    highlightLinks: { type: 'boolean' },
+    highlightHeadings: { type: 'boolean' },
+    highlightFocus: { type: 'boolean' },
+    ttsEnabled: { type: 'boolean' },
+    ttsMuted: { type: 'boolean' },
+    ttsRate: { type: 'number', min: 0.5, max: 2 },
+    ttsPitch: { type: 'number', min: 0.5, max: 2 },
+    ttsVoice: { type: 'string', nullable: true },
+    voiceNavigationEnabled: { type: 'boolean' },
+    textAlign: { type: 'string', values: ['', 'left', 'center', 'right', 'justify'] },
+    language: { type: 'string' },
+    reduceMotion: { type: 'boolean' },
+    underlineLinks: { type: 'boolean' },
+    readingGuide: { type: 'boolean' },
+    readingGuidePos: { type: 'number', min: 0 },
+    readingGuideFollow: { type: 'string', values: ['pointer', 'caret', 'none'] },
+    toolbarPosition: { type: 'string', values: ['top-left', 'top-right', 'bottom-left', 'bottom-right'] },
+    dictionaryEnabled: { type: 'boolean' },
+    simplifiedWords: { type: 'boolean' },
+    screenReaderHints: { type: 'boolean' },
+    followSystem: { type: 'boolean' },
+    letterSpacing: { type: 'number', min: 0, max: 0.5 },
+    lineHeight: { type: 'number', min: 0, max: 3 },
+    wordSpacing: { type: 'number', min: 0, max: 0.6 },
+    paragraphSpacing: { type: 'number', min: 0, max: 4 },
+    textSpacingTest: { type: 'boolean' },
+    highlightAsRead: { type: 'boolean' },
+    translateTargetLang: { type: 'string' },
+    monospaceFont: { type: 'boolean' },
+    focusStrip: { type: 'boolean' },
+    focusStripHeight: { type: 'number', min: 40, max: 400 },
+    focusStripOpacity: { type: 'number', min: 0.1, max: 0.9 },
+    focusStripColor: { type: 'string', format: 'color' },
+    enlargeFocus: { type: 'boolean' },
+    showLinkUrl: { type: 'boolean' },
+    reduceTransparency: { type: 'boolean' },
+    highlightForms: { type: 'boolean' },
+    contentWidth: { type: 'string', values: ['full', 'narrow', 'narrower'] },
+    reflow: { type: 'boolean' },
+    guestMode: { type: 'boolean' },
+    lastPresetName: { type: 'string', nullable: true },
+  };
+
+  // Migrations keyed by the schema version they upgrade FROM; each takes a plain state object and returns the next version's shape.
+  // Version 1 is everything saved before schemaVersion existed.
+  const STATE_MIGRATIONS = {
+    1: function (s) {
+      if (typeof s.contrast === 'string') {
+        var named = { normal: 1, medium: 1.2, high: 1.4 };
+        s.contrast = named.hasOwnProperty(s.contrast) ? named[s.contrast] : s.contrast;
+      }
+      if (s.colorFilter === 'greyscale') s.colorFilter = 'grayscale';
+      if (s.textAlign === 'default' || s.textAlign === 'start') s.textAlign = '';
+      return s;
+    },
+    // dyslexiaFont (boolean) became one of the fontFamily choices.
+    2: function (s) {
+      if (s.hasOwnProperty('dyslexiaFont')) {
+        if ((s.dyslexiaFont === true || s.dyslexiaFont === 'true') && !s.fontFamily) s.fontFamily = 'opendyslexic';
+        delete s.dyslexiaFont;
+      }
+      return s;
+    },
+    // Named text spacing steps became numbers (the em / line-height values the old steps applied).
+    3: function (s) {
+      var named = {
+        letterSpacing: { normal: 0, wide: 0.12, wider: 0.2 },
+        lineHeight: { normal: 0, relaxed: 1.6, loose: 1.9 },
+        wordSpacing: { normal: 0, wide: 0.2 },
+      };
+      Object.keys(named).forEach(function (k) {
+        if (typeof s[k] === 'string' && named[k].hasOwnProperty(s[k])) s[k] = named[k][s[k]];
+      });
+      return s;
+    },
+  };
+
   // --- Extended language list for TTS, translation, and panel ---
   
-  // Default languages for OpenAccessible is English
+  // Default languages for OpenAccessible is English; dir: 'rtl' marks right-to-left scripts (used to mirror the widget UI)
   const LANGUAGES = [
     { code: '', name: 'Default' },
     { code: 'en', name: 'English' },
@@ -92,7 +233,7 @@ contentWidth: 'full',          // full | narrow | narrower
     { code: 'pl', name: 'Polish' },
     { code: 'ru', name: 'Russian' },
     { code: 'uk', name: 'Ukrainian' },
-    { code: 'ar', name: 'Arabic' },
+    { code: 'ar', name: 'Arabic', dir: 'rtl' },
     { code: 'zh', name: 'Chinese' },
     { code: 'zh-CN', name: 'Chinese (Simplified)' },
     { code: 'zh-TW', name: 'Chinese (Traditional)' },
@@ -105,8 +246,8 @@ contentWidth: 'full',          // full | narrow | narrower
     { code: 'th', name: 'Thai' },
     { code: 'id', name: 'Indonesian' },
     { code: 'ms', name: 'Malay' },
-    { code: 'he', name: 'Hebrew' },
-    { code: 'fa', name: 'Persian' },
+    { code: 'he', name: 'Hebrew', dir: 'rtl' },
+    { code: 'fa', name: 'Persian', dir: 'rtl' },
     { code: 'sv', name: 'Swedish' },
     { code: 'da', name: 'Danish' },
     { code: 'no', name: 'Norwegian' },
@@ -143,22 +284,25 @@ contentWidth: 'full',          // full | narrow | narrower
     { code: 'pa', name: 'Punjabi' },
     { code: 'sw', name: 'Swahili' },
     { code: 'tl', name: 'Tagalog' },
-    { code: 'ur', name: 'Urdu' },
+    { code: 'ur', name: 'Urdu', dir: 'rtl' },
   ];
 
-  // --- Keyboard shortcuts reference (for help modal) ---
+  // --- Keyboard shortcuts reference (for help modal); key is the STRINGS entry used for the localized action ---
   const KEYBOARD_SHORTCUTS = [
-    { keys: 'Alt+A (Win) / Option+A (Mac)', action: 'Open or close accessibility panel' },
-    { keys: 'Escape', action: 'Close panel, reading view, or overlay' },
-    { keys: 'Tab / Shift+Tab', action: 'Move focus between controls' },
-    { keys: 'Enter / Space', action: 'Activate button or option' },
-    { keys: 'R (in panel)', action: 'Read page with text-to-speech' },
-    { keys: 'S (in panel)', action: 'Stop reading' },
-    { keys: 'Arrow keys', action: 'Change value of range or select' },
-    { keys: 'Double-click word', action: 'Open dictionary (when enabled)' },
-    { keys: 'Select text + bar', action: 'Speak or translate selection' },
-    { keys: 'Focus in panel', action: 'Tab cycles through all controls' },
-    { keys: 'Voice (when enabled)', action: 'Say "Open accessibility", "Read page", "Stop", etc.' },
+    { keys: 'Alt+A (Win) / Option+A (Mac)', action: 'Open or close accessibility panel', key: 'shortcutTogglePanel' },
+    { keys: 'Escape', action: 'Close panel, reading view, or overlay', key: 'shortcutClose' },
+    { keys: 'Tab / Shift+Tab', action: 'Move focus between controls', key: 'shortcutMoveFocus' },
+    { keys: 'Enter / Space', action: 'Activate button or option', key: 'shortcutActivate' },
+    { keys: 'R (in panel)', action: 'Read page with text-to-speech', key: 'shortcutReadPage' },
+    { keys: 'S (in panel)', action: 'Stop reading', key: 'shortcutStop' },
+    { keys: 'Arrow keys', action: 'Change value of range or select', key: 'shortcutChangeValue' },
+    { keys: 'Double-click word', action: 'Open dictionary (when enabled)', key: 'shortcutDictionary' },
+    { keys: 'Select text + bar', action: 'Speak or translate selection', key: 'shortcutSelection' },
+    { keys: 'Focus in panel', action: 'Tab cycles through all controls', key: 'shortcutCycle' },
+    { keys: 'Ctrl+Z / Ctrl+Shift+Z (in panel)', action: 'Undo or redo the last settings change', key: 'shortcutUndoRedo' },
+    { keys: 'Voice (when enabled)', action: 'Say "Open accessibility", "Read page", "Stop", etc.', key: 'shortcutVoice' },
+    { keys: 'Arrow keys (on an easy read word)', action: 'Move to the previous or next simplified word (Home/End: first or last)', key: 'shortcutSimplifiedWords' },
+    { keys: 'Alt+G (Win) / Option+G (Mac)', action: 'Focus the reading guide or mask; then arrow keys, Page Up/Down, Home/End move it', key: 'shortcutReadingGuide' },
   ];
   // Built in Dictionary
   const BUILTIN_DICTIONARY = {
@@ -524,15 +668,98 @@ contentWidth: 'full',          // full | narrow | narrower
     your: "Belonging to you.",
     zoom: "To make content look bigger or smaller."
   };
+  // Easy read substitutions for simplifiedWords: simple = plain replacement (omit to only annotate), definition = inline explanation.
+  const SIMPLIFIED_WORDS = {
+    accomplish: { simple: "do", definition: "To finish or succeed in doing something." },
+    acquire: { simple: "get", definition: "To get or gain something." },
+    additional: { simple: "more", definition: "Extra; added to what is already there." },
+    adequate: { simple: "enough", definition: "As much as is needed." },
+    aforementioned: { simple: "earlier", definition: "Mentioned before." },
+    alternative: { simple: "other choice", definition: "Another option you can pick instead." },
+    anticipate: { simple: "expect", definition: "To think something will happen." },
+    approximately: { simple: "about", definition: "Close to a number, but not exact." },
+    ascertain: { simple: "find out", definition: "To learn or make sure of something." },
+    assist: { simple: "help", definition: "To help someone." },
+    assistance: { simple: "help", definition: "Help or support." },
+    authenticate: { simple: "sign in", definition: "To prove who you are, usually with a password." },
+    authorize: { simple: "allow", definition: "To give permission for something." },
+    beverage: { simple: "drink", definition: "Something you can drink." },
+    commence: { simple: "start", definition: "To begin." },
+    component: { simple: "part", definition: "One piece of something bigger." },
+    comprehend: { simple: "understand", definition: "To know what something means." },
+    configure: { simple: "set up", definition: "To choose the settings for something." },
+    consequently: { simple: "so", definition: "Because of that." },
+    credentials: { simple: "login details", definition: "Your username and password, or other proof of who you are." },
+    demonstrate: { simple: "show", definition: "To show how something works or that it is true." },
+    designate: { simple: "name", definition: "To choose or name someone or something for a role." },
+    disseminate: { simple: "spread", definition: "To share information widely." },
+    eliminate: { simple: "remove", definition: "To take away or get rid of something." },
+    endeavor: { simple: "try", definition: "To try hard to do something." },
+    equivalent: { simple: "equal", definition: "The same in value or meaning." },
+    expedite: { simple: "speed up", definition: "To make something happen faster." },
+    facilitate: { simple: "help", definition: "To make something easier." },
+    frequently: { simple: "often", definition: "Many times." },
+    functionality: { simple: "features", definition: "The things a product or tool can do." },
+    herein: { simple: "here", definition: "In this document or place." },
+    immediately: { simple: "now", definition: "Right away, without waiting." },
+    implement: { simple: "carry out", definition: "To put a plan or idea into action." },
+    incorporate: { simple: "include", definition: "To add something as part of a whole." },
+    indicate: { simple: "show", definition: "To point out or make something known." },
+    individual: { simple: "person", definition: "One person." },
+    inform: { simple: "tell", definition: "To give someone information." },
+    initiate: { simple: "start", definition: "To begin something." },
+    inquire: { simple: "ask", definition: "To ask for information." },
+    insufficient: { simple: "not enough", definition: "Less than what is needed." },
+    modify: { simple: "change", definition: "To change something a little." },
+    navigate: { simple: "move around", definition: "To find your way through a website, app, or place." },
+    nevertheless: { simple: "still", definition: "Even so; despite that." },
+    notify: { simple: "tell", definition: "To let someone know about something." },
+    numerous: { simple: "many", definition: "A large number of." },
+    objective: { simple: "goal", definition: "Something you are trying to do or reach." },
+    obtain: { simple: "get", definition: "To get something." },
+    occasionally: { simple: "sometimes", definition: "Now and then; not often." },
+    optimal: { simple: "best", definition: "The best or most effective." },
+    parameters: { simple: "settings", definition: "Values or rules that control how something works." },
+    participate: { simple: "take part", definition: "To join in an activity." },
+    permit: { simple: "allow", definition: "To let something happen." },
+    prohibit: { simple: "ban", definition: "To not allow something." },
+    prohibited: { simple: "not allowed", definition: "Not allowed by a rule or law." },
+    purchase: { simple: "buy", definition: "To pay money for something." },
+    regarding: { simple: "about", definition: "On the topic of." },
+    remuneration: { simple: "pay", definition: "Money paid for work." },
+    require: { simple: "need", definition: "To need something." },
+    requirement: { simple: "need", definition: "Something that is needed." },
+    residence: { simple: "home", definition: "The place where someone lives." },
+    subsequent: { simple: "next", definition: "Coming after something else." },
+    subsequently: { simple: "later", definition: "After that." },
+    sufficient: { simple: "enough", definition: "As much as is needed." },
+    terminate: { simple: "end", definition: "To stop or finish something." },
+    therefore: { simple: "so", definition: "For that reason." },
+    transmit: { simple: "send", definition: "To pass or send something from one place to another." },
+    utilise: { simple: "use", definition: "To use something." },
+    utilization: { simple: "use", definition: "The act of using something." },
+    utilize: { simple: "use", definition: "To use something." },
+    visualize: { simple: "picture", definition: "To form a picture of something in your mind." },
+    algorithm: { definition: "A set of steps a computer follows to solve a problem." },
+    authentication: { definition: "Proving who you are, for example with a password or code." },
+    bandwidth: { definition: "How much data can be sent over a connection at once." },
+    cache: { definition: "Saved copies of data that help a website or app load faster." },
+    cookie: { definition: "A small file a website saves in your browser to remember you." },
+    encryption: { definition: "Scrambling data so only the right people can read it." },
+    firmware: { definition: "Software built into a device that controls how it works." },
+    malware: { definition: "Harmful software made to damage or spy on a device." },
+    phishing: { definition: "A trick message that tries to steal your passwords or money." },
+    protocol: { definition: "A set of rules for how things communicate or are done." },
+  };
   // Color filter options for UI or docs.
   var COLOR_FILTER_OPTIONS = [
     { value: 'none', label: 'None' },
     { value: 'grayscale', label: 'Grayscale' },
     { value: 'invert', label: 'Invert' },
     { value: 'sepia', label: 'Sepia' },
-    { value: 'protanopia', label: 'Protanopia' },
-    { value: 'deuteranopia', label: 'Deuteranopia' },
-    { value: 'tritanopia', label: 'Tritanopia' },
+    { value: 'protanopia', label: 'Simulate protanopia' },
+    { value: 'deuteranopia', label: 'Simulate deuteranopia' },
+    { value: 'tritanopia', label: 'Simulate tritanopia' },
     { value: 'dark', label: 'Dark theme' },
     { value: 'light', label: 'Light theme' },
   ];
@@ -563,7 +790,13 @@ contentWidth: 'full',          // full | narrow | narrower
 
   // --- Preset storage key and max presets ---
   const PRESETS_STORAGE_KEY = 'openaccessible_presets';
-  const MAX_PRESETS = 10;
+  const MAX_PRESETS = 10;             // default user preset limit; OpenAccessibleConfig.maxPresets changes it
+  const PRESET_PACK_FORMAT = 'openaccessible-preset-pack';
+  const SCHEDULE_STORAGE_KEY = 'openaccessible_schedule';
+  const SCHEDULE_CHECK_MS = 60000;    // how often the preset schedule is re-evaluated
+  const PRESET_PACK_VERSION = 1;      // bump when the pack envelope changes (preset states carry schemaVersion separately)
+  const HISTORY_LIMIT = 50;           // undo steps kept per page load
+  const HISTORY_COALESCE_MS = 800;    // panel changes to the same control within this window (e.g. dragging a slider) are one undo step
   const BUILTIN_PRESET_IDS = ['high-contrast', 'reading', 'minimal', 'focus'];
 
   // --- Default built-in presets (name -> partial state) ---
@@ -574,11 +807,11 @@ contentWidth: 'full',          // full | narrow | narrower
     },
     'reading': {
       name: 'Reading',
-      state: { letterSpacing: 'wide', lineHeight: 'relaxed', wordSpacing: 'wide', fontSize: 110, dyslexiaFont: false, highlightAsRead: true },
+      state: { letterSpacing: 0.12, lineHeight: 1.6, wordSpacing: 0.2, fontSize: 110, fontFamily: '', highlightAsRead: true },
     },
     'minimal': {
       name: 'Minimal',
-      state: { colorFilter: 'none', contrast: 1, fontSize: 100, letterSpacing: 'normal', lineHeight: 'normal', wordSpacing: 'normal', highlightLinks: false, highlightHeadings: false },
+      state: { colorFilter: 'none', contrast: 1, saturation: 1, brightness: 1, hueRotate: 0, fontSize: 100, letterSpacing: 0, lineHeight: 0, wordSpacing: 0, paragraphSpacing: 0, textSpacingTest: false, highlightLinks: false, highlightHeadings: false },
     },
     'focus': {
       name: 'Focus & visibility',
@@ -586,6 +819,16 @@ contentWidth: 'full',          // full | narrow | narrower
     },
   };
 
+  // --- Follow my system: media query -> preset or state patch; later matching rules win on shared keys ---
+  const SYSTEM_PREFERENCE_RULES = [
+    { query: '(prefers-color-scheme: dark)', state: { colorFilter: 'dark' } },
+    { query: '(prefers-reduced-motion: reduce)', state: { reduceMotion: true } },
+    { query: '(prefers-reduced-transparency: reduce)', state: { reduceTransparency: true } },
+    { query: '(prefers-contrast: more)', preset: 'high-contrast' },
+    { query: '(inverted-colors: inverted)', state: { colorFilter: 'none' } },                             // the OS already inverts; a filter would undo it
+    { query: '(forced-colors: active)', state: { colorFilter: 'none', colorCorrection: 'none', contrast: 1, saturation: 1, brightness: 1, hueRotate: 0, reduceTransparency: true } }, // filters fight the forced palette
+  ];
+
   // --- API request timeout (ms) and retry count ---
   const API_TIMEOUT_MS = 15000;
   const API_RETRY_COUNT = 2;
@@ -599,8 +842,21 @@ contentWidth: 'full',          // full | narrow | narrower
     colorContrast: 'Color & contrast',
     filter: 'Filter',
     contrast: 'Contrast',
+    saturation: 'Saturation',
+    brightness: 'Brightness',
+    hueRotate: 'Hue shift',
+    contrastFix: 'Fix text contrast',
+    contrastFixOff: 'Off',
+    contrastFixAa: 'AA (4.5:1)',
+    contrastFixAaa: 'AAA (7:1)',
     readingDyslexia: 'Reading & dyslexia',
+    fontFamily: 'Font',
+    fontSite: 'Site font',
     openDyslexic: 'OpenDyslexic font',
+    fontAtkinson: 'Atkinson Hyperlegible',
+    fontLexend: 'Lexend',
+    fontSystemSans: 'System sans-serif',
+    fontSerif: 'Serif',
     size: 'Size',
     highlight: 'Highlight',
     links: 'Links',
@@ -636,12 +892,25 @@ contentWidth: 'full',          // full | narrow | narrower
     full: 'Full',
     narrow: 'Narrow (65ch)',
     narrower: 'Narrower (45ch)',
+    reflow: 'Reflow for zoom (single column, no sideways scrolling)',
+    reflowTable: 'Table (scrolls sideways)',
     more: 'More',
     monospace: 'Monospace font',
-    focusStrip: 'Focus strip (dim except line)',
+    focusStrip: 'Reading mask (dim all but a window)',
+    focusStripHeight: 'Mask window height',
+    focusStripOpacity: 'Mask opacity',
+    focusStripColor: 'Mask tint',
     reduceMotion: 'Reduce motion',
     readingGuide: 'Reading guide',
+    readingGuideFollow: 'Guide and mask follow',
+    followPointer: 'Mouse pointer',
+    followCaret: 'Text cursor and focus',
+    followNone: 'Nothing (drag or arrow keys)',
+    readingGuideHandle: 'Reading guide position',
+    readingMaskHandle: 'Reading mask position',
+    readingGuideValue: '{percent}% down the screen',
     screenReaderHints: 'Screen reader / Braille hints',
+    followSystem: 'Follow my system settings (contrast, motion, transparency, colors)',
     toolbarPosition: 'Toolbar position',
     bottomRight: 'Bottom right',
     bottomLeft: 'Bottom left',
@@ -649,6 +918,14 @@ contentWidth: 'full',          // full | narrow | narrower
     topLeft: 'Top left',
     settings: 'Settings',
     exportSettings: 'Export settings',
+    copyShareLink: 'Copy share link',
+    shareLinkCopied: 'Share link copied to the clipboard.',
+    shareLinkFailed: 'Could not copy the share link.',
+    undo: 'Undo',
+    redo: 'Redo',
+    profileScope: 'Apply settings to',
+    profileEverywhere: 'Everywhere on this site',
+    profileSection: 'This section only ({name})',
     importSettings: 'Import settings',
     keyboardShortcuts: 'Keyboard shortcuts',
     about: 'About',
@@ -660,6 +937,69 @@ contentWidth: 'full',          // full | narrow | narrower
     chooseLanguageFirst: 'Choose a language under Translate to, then click Translate page.',
     translationFailed: 'Translation failed.',
     defaultVoice: 'Default',
+    managePresets: 'Manage presets…',
+    presetManagerTitle: 'Manage presets',
+    builtinPresets: 'Built-in presets',
+    savedPresets: 'Your presets',
+    builtinBadge: 'Built-in',
+    hostPresetBadge: 'Site preset',
+    lockedBySite: 'This setting is managed by the site.',
+    noSavedPresets: 'No saved presets yet.',
+    presetNameLabel: 'New preset name',
+    presetDefaultName: 'My preset',
+    saveCurrentPreset: 'Save current settings',
+    presetLimitReached: 'You can save up to {max} presets. Delete one to add another.',
+    presetOverrides: 'Changes from defaults:',
+    presetNoOverrides: 'Same as the defaults.',
+    presetDefaultValue: 'default {value}',
+    presetApply: 'Apply',
+    presetRename: 'Rename',
+    presetDuplicate: 'Duplicate',
+    presetEdit: 'Edit settings',
+    presetMoveUp: 'Move up',
+    presetMoveDown: 'Move down',
+    presetConfirmDelete: 'Confirm delete',
+    presetCopyName: '{name} (copy)',
+    presetEditorLegend: 'Settings in "{name}" (checked = set by this preset)',
+    presetValueOn: 'On',
+    presetValueOff: 'Off',
+    presetValueEmpty: '(empty)',
+    presetStatusApplied: '{name} applied.',
+    presetStatusSaved: '{name} saved.',
+    presetStatusDeleted: '{name} deleted.',
+    presetStatusMoved: '{name} moved to position {position}.',
+    scheduleTitle: 'Schedule',
+    scheduleEmpty: 'Apply a preset automatically at certain times, e.g. a dark setup in the evening.',
+    scheduleIdle: 'No scheduled preset right now.',
+    scheduleActive: '{name} is on until {time}.',
+    scheduleOverridden: 'Paused until {time} because you changed settings.',
+    scheduleResume: 'Resume schedule',
+    scheduleResumed: 'Schedule resumed.',
+    scheduleEveryDay: 'every day',
+    scheduleRemove: 'Remove',
+    scheduleRemoveLabel: 'Remove {name} {from}–{to}',
+    schedulePresetLabel: 'Preset',
+    scheduleFrom: 'From',
+    scheduleTo: 'To',
+    scheduleDays: 'Days',
+    scheduleAdd: 'Add to schedule',
+    scheduleSaved: 'Schedule saved.',
+    scheduleInvalid: 'Choose a start time, an end time and at least one day.',
+    presetPackDefaultName: 'Preset pack',
+    presetPackExport: 'Export pack',
+    presetPackImport: 'Import pack',
+    presetPackSummary: '{name}: {count} presets',
+    presetPackConflictLabel: 'When a preset with the same name exists:',
+    presetPackOverwrite: 'Replace it',
+    presetPackSkip: 'Keep mine',
+    presetPackKeepBoth: 'Keep both',
+    presetPackMerge: 'Add to my presets',
+    presetPackReplace: 'Replace all my presets',
+    presetPackConfirmReplace: 'Confirm replace all',
+    presetPackExported: '{count} presets exported.',
+    presetPackResult: 'Pack imported: {added} added, {updated} updated, {skipped} skipped.',
+    presetPackInvalid: 'That file is not a preset pack.',
+    presetPackTooNew: 'That preset pack needs a newer version of the widget.',
     highContrastPreset: 'High contrast',
     readingPreset: 'Reading',
     minimalPreset: 'Minimal',
@@ -690,22 +1030,332 @@ contentWidth: 'full',          // full | narrow | narrower
     delete: 'Delete',
     export: 'Export',
     import: 'Import',
+    // Panel controls, overlays and messages (locale files fall back to these when a key is missing)
+    panelLabel: 'Accessibility settings',
+    openPanel: 'Open accessibility settings',
+    filterNone: 'None',
+    filterGrayscale: 'Grayscale',
+    filterInvert: 'Invert',
+    filterSepia: 'Sepia',
+    filterSimulation: 'Simulate color blindness (design preview)',
+    filterProtanopia: 'Simulate protanopia',
+    filterDeuteranopia: 'Simulate deuteranopia',
+    filterTritanopia: 'Simulate tritanopia',
+    colorCorrection: 'Color-blind correction',
+    correctionNone: 'Off',
+    correctionProtanopia: 'Red-blind (protanopia)',
+    correctionDeuteranopia: 'Green-blind (deuteranopia)',
+    correctionTritanopia: 'Blue-blind (tritanopia)',
+    correctionAchromatopsia: 'No color vision (achromatopsia)',
+    correctionStrength: 'Correction strength',
+    filterDark: 'Dark theme',
+    filterLight: 'Light theme',
+    colorTheme: 'Color theme',
+    themeSwatches: 'Ready-made color themes',
+    themeYellowOnBlack: 'Yellow on black',
+    themeWhiteOnBlack: 'White on black',
+    themeBlackOnWhite: 'Black on white',
+    themeBlueOnCream: 'Dark blue on cream',
+    themeBlackOnYellow: 'Black on yellow',
+    themeText: 'Text',
+    themeBackground: 'Background',
+    themeLink: 'Links',
+    themeVisited: 'Visited links',
+    themeFocus: 'Focus ring',
+    themeUseSiteColors: 'Use site colors',
+    themeSiteColor: 'Site color',
+    themeLowContrast: 'low',
+    simplifyWords: 'Simplify words (readability)',
+    dictionary: 'Dictionary (double-click word)',
+    dictionaryHint: 'Double-click a word to open a modal with the word, definition, and audio to hear the word or definition.',
+    letterSpacing: 'Letter spacing',
+    lineHeight: 'Line height',
+    wordSpacing: 'Word spacing',
+    paragraphSpacing: 'Paragraph spacing',
+    spacingSite: 'Site default',
+    textSpacingTest: 'WCAG 1.4.12 text spacing test',
+    sizeCursor: 'Size & cursor',
+    fontSizePercent: 'Font size %',
+    cursor: 'Cursor',
+    cursorDefault: 'Default',
+    cursorLarge: 'Large',
+    cursorXl: 'Extra large',
+    highlightFocusTitle: 'Highlight & focus',
+    highlightLinks: 'Highlight links',
+    highlightHeadings: 'Highlight headings',
+    highlightFocus: 'Highlight focus',
+    underlineLinks: 'Underline links',
+    highlightAsRead: 'Highlight words as you read',
+    testVoiceLabel: 'Play sample with selected voice',
+    voiceSample: 'This is a sample of the selected voice.',
+    voiceNavigation: 'Voice navigation',
+    textAlignment: 'Text alignment',
+    alignDefault: 'Default',
+    alignLeft: 'Left',
+    alignCenter: 'Center',
+    alignRight: 'Right',
+    alignJustify: 'Justify',
+    language: 'Language',
+    shortcutHint: 'Keyboard: Windows Alt+A, Mac Option+A to open/close. Escape to close. Tab to move, Enter or Space to activate. In panel: R = Read page, S = Stop.',
+    settingsExported: 'Settings exported.',
+    settingsImported: 'Settings imported.',
+    invalidSettingsFile: 'Invalid settings file.',
+    selectTextToSpeak: 'Select some text first, then click Speak selection.',
+    noHeadings: 'No headings found on this page.',
+    noImages: 'No images found on this page.',
+    pageHeadings: 'Page headings',
+    noDescription: '(no description)',
+    emptyAlt: '(empty alt)',
+    translatedPage: 'Translated page',
+    translatedPageTitle: 'Translated page ({lang})',
+    readingView: 'Reading view',
+    readingViewTitle: 'Reading',
+    speak: 'Speak',
+    word: 'Word',
+    definition: 'Definition',
+    pronunciation: 'Pronunciation',
+    playWord: 'Play word',
+    playDefinition: 'Play definition',
+    noDefinition: 'No definition available.',
+    noDefinitionFound: 'No definition found. Try the built-in list or set dictionaryApiUrl / apiBase.',
+    aboutLabel: 'About Open Accessible',
+    shortcutTogglePanel: 'Open or close accessibility panel',
+    shortcutClose: 'Close panel, reading view, or overlay',
+    shortcutMoveFocus: 'Move focus between controls',
+    shortcutActivate: 'Activate button or option',
+    shortcutReadPage: 'Read page with text-to-speech',
+    shortcutStop: 'Stop reading',
+    shortcutChangeValue: 'Change value of range or select',
+    shortcutDictionary: 'Open dictionary (when enabled)',
+    shortcutSelection: 'Speak or translate selection',
+    shortcutCycle: 'Tab cycles through all controls',
+    shortcutVoice: 'Say "Open accessibility", "Read page", "Stop", etc.',
+    shortcutReadingGuide: 'Focus the reading guide or mask; then arrow keys, Page Up/Down, Home/End move it',
+    shortcutSimplifiedWords: 'Move to the previous or next simplified word (Home/End: first or last)',
+    shortcutUndoRedo: 'Undo or redo the last settings change',
+    simplifiedOriginal: 'Original word: {word}.',
+  };
+
+  // Locale codes that should resolve to a differently named OpenAccessibleLocales entry.
+  var LOCALE_ALIASES = { nb: 'no', nn: 'no' };
+
+  // Locale code -> file in locales/ (loaded on demand next to widget.js; each file registers OpenAccessibleLocales[code]).
+  var LOCALE_FILES = {
+    ko: 'Korean.js',
+    es: 'Espanol.js',
+    fr: 'French.js',
+    de: 'German.js',
+    no: 'Norwegian.js',
+    nl: 'Dutch.js',
+    zh: 'Mandarin.js',
   };
 
-  // Build <option> elements from LANGUAGES for a select (value = code, text = name).
+  // --- Localization: active UI strings from OpenAccessibleLocales merged over STRINGS ---
+  // Return the locale key matching code (exact, alias, then base language) among registered locales and LOCALE_FILES, 'en' for English, or null.
+  function matchLocale(code) {
+    if (!code || typeof code !== 'string') return null;
+    var registry = global.OpenAccessibleLocales || {};
+    var lower = code.trim().toLowerCase().replace(/_/g, '-');
+    if (!lower) return null;
+    var base = lower.split('-')[0];
+    var candidates = [lower, LOCALE_ALIASES[lower], base, LOCALE_ALIASES[base]];
+    for (var i = 0; i < candidates.length; i++) {
+      var c = candidates[i];
+      if (!c) continue;
+      if (c === 'en') return 'en';
+      var found = Object.keys(registry).find(function (k) { return k.toLowerCase() === c; });
+      if (found) return found;
+      if (LOCALE_FILES.hasOwnProperty(c)) return c;
+    }
+    return null;
+  }
+
+  // Pick the UI locale: setLocale() choice, config locale, then <html lang>, then navigator.languages; 'en' when nothing matches.
+  function resolveLocale() {
+    var nav = global.navigator || {};
+    var preferred = nav.languages && nav.languages.length ? Array.prototype.slice.call(nav.languages) : [nav.language];
+    var candidates = [userLocale, configLocale, document.documentElement.getAttribute('lang')].concat(preferred);
+    for (var i = 0; i < candidates.length; i++) {
+      var match = matchLocale(candidates[i]);
+      if (match) return match;
+    }
+    return 'en';
+  }
+
+  // Make code the active locale: its strings merged over STRINGS so missing keys stay English. Unloaded locales fall back to 'en'.
+  function loadLocaleStrings(code) {
+    var registry = global.OpenAccessibleLocales || {};
+    if (!code || !registry[code]) code = 'en';
+    activeStrings = code === 'en' ? STRINGS : { ...STRINGS, ...registry[code] };
+    localeCode = code;
+  }
+
+  // Base URL for locale files: localeBaseUrl from config, else locales/ next to widget.js.
+  function getLocaleBase() {
+    if (localeBaseUrl) return localeBaseUrl.replace(/\/?$/, '/');
+    return scriptBase ? scriptBase + 'locales/' : '';
+  }
+
+  // Make sure locale code is registered, injecting its locales/ script once. Resolves true when its strings are available.
+  function loadLocale(code) {
+    var registry = global.OpenAccessibleLocales || {};
+    if (code === 'en' || registry[code]) return Promise.resolve(true);
+    if (localeLoads[code]) return localeLoads[code];
+    var file = LOCALE_FILES[code];
+    var base = getLocaleBase();
+    if (!file || !base) return Promise.resolve(false);
+    localeLoads[code] = new Promise(function (resolve) {
+      var script = document.createElement('script');
+      script.src = base + file;
+      script.async = true;
+      script.setAttribute('data-oa-locale', code);
+      script.onload = function () {
+        resolve(!!(global.OpenAccessibleLocales && global.OpenAccessibleLocales[code]));
+      };
+      script.onerror = function () {
+        delete localeLoads[code];  // allow a retry on the next switch
+        script.remove();
+        resolve(false);
+      };
+      document.head.appendChild(script);
+    });
+    return localeLoads[code];
+  }
+
+  // Load locale code if needed, switch the UI to it and emit locale. Resolves with the active locale code.
+  function switchLocale(code) {
+    return loadLocale(code).then(function (ok) {
+      if (ok) applyLocale(code);
+      emit('locale', ok ? { locale: localeCode } : { locale: localeCode, requested: code, error: true });
+      return localeCode;
+    });
+  }
+
+  // Public setLocale: pin the UI to code, or follow config / page / browser again when code is empty.
+  function setLocale(code) {
+    var requested = typeof code === 'string' ? code.trim() : '';
+    if (requested && !matchLocale(requested)) {
+      emit('locale', { locale: localeCode, requested: requested, error: true });
+      return Promise.resolve(localeCode);
+    }
+    userLocale = requested;
+    return switchLocale(resolveLocale());
+  }
+
+  // Return the UI string for key in the active locale (English, then the key itself, as fallback); fills {name} placeholders from vars.
+  function t(key, vars) {
+    var s = activeStrings[key];
+    if (s == null) s = STRINGS[key];
+    if (s == null) s = key;
+    s = String(s);
+    if (vars) s = s.replace(/\{(\w+)\}/g, function (m, name) { return vars[name] != null ? String(vars[name]) : m; });
+    return s;
+  }
+
+  // HTML-escaped t() for innerHTML templates.
+  function tHtml(key, vars) {
+    return escapeHtml(t(key, vars));
+  }
+
+  // Switch the UI to an already loaded locale and re-render everything that shows UI strings.
+  function applyLocale(code) {
+    loadLocaleStrings(code);
+    refreshLocalizedUi();
+  }
+
+  // Re-render localized widget UI after a locale switch: rebuild the panel, relabel toolbar and skip link, reopen open dialogs.
+  function refreshLocalizedUi() {
+    widgetDir = resolveDirection();
+    var tb = document.getElementById('openaccessible-toolbar');
+    if (tb) {
+      tb.setAttribute('aria-label', t('panelTitle'));
+      tb.setAttribute('lang', localeCode);
+      tb.setAttribute('dir', widgetDir);
+      var btn = tb.querySelector('[data-oa-open]');
+      if (btn) {
+        btn.setAttribute('aria-label', t('openPanel'));
+        btn.setAttribute('title', t('panelTitle'));
+      }
+    }
+    var skip = document.getElementById('openaccessible-skip');
+    if (skip) skip.textContent = t('skipToContent');
+    rebuildPanel();
+    var shortcuts = document.getElementById('oa-shortcuts-modal');
+    if (shortcuts) { shortcuts.remove(); showKeyboardShortcuts(); }
+    var about = document.getElementById('oa-about-modal');
+    if (about) { about.remove(); showAbout(); }
+    var presetsModal = document.getElementById('oa-presets-modal');
+    if (presetsModal) { presetsModal.remove(); showPresetManager(); }
+    if ($root) applyFormLabelHints($root);
+    if (simplifiedEntries.length) { restoreSimplifiedWords(); applySimplifiedWords(); }
+  }
+
+  // Re-resolve locale and direction when the page changes <html lang> or dir (e.g. a client-side language switcher).
+  function watchDocumentLang() {
+    if (typeof MutationObserver === 'undefined') return;
+    var observer = new MutationObserver(function () {
+      var next = resolveLocale();
+      if (next !== localeCode) switchLocale(next);
+      else applyDirection();
+    });
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['lang', 'dir'] });
+    if (document.body) observer.observe(document.body, { attributes: true, attributeFilter: ['dir'] });
+  }
+
+  // --- Direction: mirror the widget UI for right-to-left locales and pages ---
+  // True when code (or its base language) is marked dir: 'rtl' in LANGUAGES.
+  function isRtlLanguage(code) {
+    if (!code) return false;
+    var lower = String(code).toLowerCase();
+    var base = lower.split('-')[0];
+    return LANGUAGES.some(function (l) { return l.dir === 'rtl' && (l.code.toLowerCase() === lower || l.code.toLowerCase() === base); });
+  }
+
+  // Return 'rtl' or 'ltr' for the widget UI: config direction wins, then an RTL UI locale, then the page's direction.
+  function resolveDirection() {
+    if (configDirection === 'rtl' || configDirection === 'ltr') return configDirection;
+    if (isRtlLanguage(localeCode)) return 'rtl';
+    var pageDir = '';
+    try {
+      if (document.body && global.getComputedStyle) pageDir = global.getComputedStyle(document.body).direction;
+    } catch (_) {}
+    if (!pageDir) pageDir = document.documentElement.getAttribute('dir') || '';
+    return pageDir.toLowerCase() === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  // Re-resolve widgetDir and apply it to the toolbar and open overlays; the panel is rebuilt when the direction flips.
+  function applyDirection() {
+    var next = resolveDirection();
+    var changed = next !== widgetDir;
+    widgetDir = next;
+    var tb = document.getElementById('openaccessible-toolbar');
+    if (tb) tb.setAttribute('dir', widgetDir);
+    document.querySelectorAll('.oa-selection-bar, .oa-reading-view, .oa-translate-overlay, .oa-word-modal-backdrop').forEach(function (el) {
+      el.setAttribute('dir', widgetDir);
+    });
+    if (changed) rebuildPanel();
+  }
+
+  // Build <option> elements from LANGUAGES for a select (value = code, text = name in the UI locale when Intl.DisplayNames is available).
   function buildLanguageOptions(includeDefault) {
     var frag = document.createDocumentFragment();
+    var displayNames = null;
+    try {
+      if (localeCode !== 'en' && typeof Intl !== 'undefined' && Intl.DisplayNames) displayNames = new Intl.DisplayNames([localeCode], { type: 'language' });
+    } catch (_) {}
     if (includeDefault) {
       var def = document.createElement('option');
       def.value = '';
-      def.textContent = STRINGS.defaultVoice || 'Default';
+      def.textContent = t('defaultVoice');
       frag.appendChild(def);
     }
     LANGUAGES.forEach(function (lang) {
       if (lang.code === '') return;
       var o = document.createElement('option');
       o.value = lang.code;
-      o.textContent = lang.name;
+      var localized = null;
+      try { localized = displayNames && displayNames.of(lang.code); } catch (_) {}
+      o.textContent = localized || lang.name;
       frag.appendChild(o);
     });
     return frag;
@@ -849,7 +1499,7 @@ contentWidth: 'full',          // full | narrow | narrower
       hint.id = hintId;
       hint.setAttribute('aria-hidden', 'true');
       hint.style.cssText = 'position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
-      hint.textContent = STRINGS.formFieldNoLabel || 'Form field has no visible label';
+      hint.textContent = t('formFieldNoLabel');
       hint.setAttribute('data-oa-form-hint-span', '');
       if (el.parentNode) {
         el.parentNode.insertBefore(hint, el.nextSibling);
@@ -877,6 +1527,39 @@ contentWidth: 'full',          // full | narrow | narrower
     if (typeof o.dictionaryApiUrl === 'string') out.dictionaryApiUrl = o.dictionaryApiUrl.trim();
     if (typeof o.iconUrl === 'string' && o.iconUrl.length > 0) out.iconUrl = o.iconUrl.trim();
     if (typeof o.accountVerifyUrl === 'string' && o.accountVerifyUrl.length > 0) out.accountVerifyUrl = o.accountVerifyUrl.trim();
+    if (typeof o.locale === 'string') out.locale = o.locale.trim();
+    if (typeof o.localeBaseUrl === 'string') out.localeBaseUrl = o.localeBaseUrl.trim();
+    if (typeof o.fontBaseUrl === 'string') out.fontBaseUrl = o.fontBaseUrl.trim();
+    if (typeof o.guestMode === 'boolean') out.guestMode = o.guestMode;
+    if (Array.isArray(o.presets)) {
+      out.presets = o.presets.filter(function (p) { return p && typeof p.id === 'string' && /^[\w-]+$/.test(p.id) && p.state && typeof p.state === 'object'; });
+    }
+    if (typeof o.hideBuiltinPresets === 'boolean') out.hideBuiltinPresets = o.hideBuiltinPresets;
+    if (Array.isArray(o.schedule)) out.schedule = o.schedule;
+    if (typeof o.maxPresets === 'number' && Math.floor(o.maxPresets) >= 1) out.maxPresets = Math.floor(o.maxPresets);
+    if (Array.isArray(o.lockedKeys)) {
+      out.lockedKeys = {};
+      o.lockedKeys.forEach(function (k) { if (typeof k === 'string') out.lockedKeys[k] = undefined; });
+    } else if (o.lockedKeys && typeof o.lockedKeys === 'object') {
+      out.lockedKeys = { ...o.lockedKeys };
+    }
+    if (typeof o.filterExclude === 'string' && o.filterExclude.trim()) {
+      try {
+        document.createDocumentFragment().querySelector(o.filterExclude);
+        out.filterExclude = o.filterExclude.trim();
+      } catch (_) {
+        console.warn('OpenAccessible: ignoring invalid filterExclude selector "' + o.filterExclude + '".');
+      }
+    }
+    if (Array.isArray(o.hiddenKeys)) out.hiddenKeys = o.hiddenKeys.filter(function (k) { return typeof k === 'string'; });
+    if (typeof o.shareLinks === 'boolean') out.shareLinks = o.shareLinks;
+    if (typeof o.shareLinkPersist === 'boolean') out.shareLinkPersist = o.shareLinkPersist;
+    if (Array.isArray(o.profiles)) {
+      out.profiles = o.profiles.filter(function (p) { return p && typeof p.id === 'string' && /^[\w-]+$/.test(p.id) && p.match; }).map(function (p) {
+        return { id: p.id, name: typeof p.name === 'string' && p.name ? p.name : p.id, match: Array.isArray(p.match) ? p.match : [p.match] };
+      });
+    }
+    if (typeof o.direction === 'string' && ['ltr', 'rtl', 'auto'].indexOf(o.direction.trim().toLowerCase()) >= 0) out.direction = o.direction.trim().toLowerCase();
     if (o.root !== undefined) {
       if (typeof o.root === 'string') out.root = o.root;
       else if (o.root && o.root.nodeType === 1) out.root = o.root;
@@ -940,26 +1623,46 @@ contentWidth: 'full',          // full | narrow | narrower
   // --- Event names emitted by the widget (for host integration) ---
   var WIDGET_EVENTS = {
     ready: 'Widget initialized; detail: { state, version }',
-    change: 'User changed settings; detail: state',
+    change: 'User changed settings; detail: state (plus source: \'remote-tab\' when applied from another tab, \'system\' when an OS setting changed with followSystem on)',
     'preset:apply': 'Preset applied; detail: { presetId, presetName }',
     'preset:saved': 'Preset saved; detail: { presetId, presetName }',
     'preset:deleted': 'Preset deleted; detail: { presetId }',
+    'preset:updated': 'Preset renamed, edited or reordered; detail: { presetId, presetName }',
+    contrast: 'Contrast fix adjusted newly scanned text; detail: { level, fixed, unresolved } (see getContrastReport())',
+    schedule: 'Scheduled preset started or ended, or a manual change paused the schedule; detail: getScheduleStatus()',
+    'preset:imported': 'Preset pack imported; detail: { packName, mode, added, updated, skipped, rejected } (arrays of { id, name })',
     'tts:start': 'TTS started',
     'tts:stop': 'TTS stopped',
     'translate:start': 'Translation started; detail: { lang, length }',
     'translate:done': 'Translation finished; detail: { lang, error? }',
+    locale: 'UI locale switched (or failed to load); detail: { locale, requested?, error? }',
+    history: 'Undo or redo applied; detail: { canUndo, canRedo }',
+    profile: 'Settings scope changed for the active profile; detail: { profileId, scope }',
   };
 
   /*
    * Code flow overview (for maintainers):
    * - State: defaultState holds all preference keys; state is the live object, persisted to localStorage (unless guestMode).
    * - readStorage/writeStorage: load/save state; writeStorage is called after applyFromPanel and when state is updated programmatically.
-   * - Presets: getSavedPresets/setSavedPresets read/write user presets; applyPreset applies built-in or saved; saveCurrentAsPreset adds a new saved preset.
+   * - normalizeStoredState: runs migrateState then validateState against STATE_SCHEMA for every load path.
+   * - updateState: the single update pipeline for setState, presets, import and share links; commits through commitStateChange.
+   * - Presets: getSavedPresets/setSavedPresets read/write user presets; applyPreset applies built-in, host or saved ones via updateState.
+   * - Schedule: evaluateSchedule applies the preset whose time range covers now and restores the earlier settings when it ends.
+   * - Preset packs: exportPresetPack/importPresetPack move several presets as one versioned file.
    * - fetchWithTimeout: optional wrapper for fetch with AbortController timeout and retries; can be used by API calls.
    * - getFocusableElements/trapFocus: used for modals and panel focus trap; getPanelFocusables/setupPanelFocusTrap are panel-specific.
    * - showKeyboardShortcuts/showAbout: create dialogs with KEYBOARD_SHORTCUTS and version info; close on Escape or button.
    * - buildLanguageOptions: builds <option> elements from LANGUAGES for language and translateTargetLang selects.
    * - applyToDocument: applies state to $root (classes, styles, font-size, filter, etc.) and calls applyFormLabelHints when highlightForms is on.
+   * - textSpacingValues: the spacing values to apply (the WCAG minimums while textSpacingTest is on).
+   * - applyFontFamily: loads a bundled font once (loadFontFamily) and sets --oa-font-family.
+   * - filterSteps: composes sliders, colorCorrection and colorFilter into one filter chain.
+   * - syncPageFilter: applies the chain to the page subtrees retargetPageFilter tags with [data-oa-filter].
+   * - paintFilterContainers: gives unfiltered ancestors the filtered version of their own colors.
+   * - moveReadingGuide: puts the reading guide and mask on one viewport line.
+   * - syncReflow: tags elements with their reflowKind (scanReflow) and boxes tables (wrapReflowTable).
+   * - syncRecolor: runs scanDarkTheme and scanContrast; onRecolorMutation re-scans changed content in batches.
+   * - applyTheme: sets --oa-theme-* properties and oa-theme-* classes on $root.
    * - applyFormLabelHints: when state.highlightForms is true, adds aria-describedby and a screen-reader-only span for form controls without labels.
    * - normalizeInitOptions: sanitizes init(opts) so apiBase, apiKey, translateApiUrl, etc. are safe strings or defaults.
    * - requestTranslate: tries translateApiUrl (LibreTranslate format), then apiBase?action=translate, then MyMemory; calls onDone(translatedText or null).
@@ -972,9 +1675,20 @@ contentWidth: 'full',          // full | narrow | narrower
 
   // State key to short description (for debugging or generated docs).
   var STATE_KEYS_DESCRIPTION = {
-    colorFilter: 'Color filter (none, grayscale, invert, sepia, protanopia, deuteranopia, tritanopia, dark, light)',
-    dyslexiaFont: 'Use OpenDyslexic-style font',
+    colorFilter: 'Color filter (none, grayscale, invert, sepia, protanopia, deuteranopia, tritanopia, dark, light); the color-blind values are simulations',
+    colorCorrection: 'Color-blind correction filter (none, protanopia, deuteranopia, tritanopia, achromatopsia)',
+    colorCorrectionStrength: 'Color-blind correction strength in percent (0-100)',
+    fontFamily: 'Font family (empty = site font, opendyslexic, atkinson, lexend, system-sans, serif)',
     contrast: 'Contrast multiplier (1 = normal)',
+    saturation: 'Saturation multiplier (0 = gray, 1 = normal, 2 = double)',
+    brightness: 'Brightness multiplier (0.5-1.5, 1 = normal)',
+    hueRotate: 'Hue rotation in degrees (0-360)',
+    contrastFix: 'Contrast fix: raise text to WCAG AA (4.5:1) or AAA (7:1) against its background (off, aa, aaa)',
+    themeText: 'Custom theme text color (#rrggbb, empty = site colors)',
+    themeBackground: 'Custom theme background color',
+    themeLink: 'Custom theme link color',
+    themeVisited: 'Custom theme visited link color',
+    themeFocus: 'Custom theme focus ring color',
     fontSize: 'Base font size percentage',
     cursorSize: 'Cursor size (default, large, xl)',
     highlightLinks: 'Highlight links',
@@ -990,42 +1704,133 @@ contentWidth: 'full',          // full | narrow | narrower
     language: 'Content language code for TTS',
     reduceMotion: 'Respect prefers-reduced-motion',
     underlineLinks: 'Underline links',
-    readingGuide: 'Show reading guide line',
+    readingGuide: 'Show reading guide line (ruler)',
+    readingGuidePos: 'Starting line of the reading guide and mask in px from the viewport top (0 = a third of the way down)',
+    readingGuideFollow: 'What moves the reading guide and mask: pointer, caret (text cursor and focus) or none',
     toolbarPosition: 'Toolbar position (top/bottom left/right)',
     dictionaryEnabled: 'Enable double-click dictionary',
-    letterSpacing: 'Letter spacing (normal, wide, wider)',
-    lineHeight: 'Line height (normal, relaxed, loose)',
-    wordSpacing: 'Word spacing',
+    simplifiedWords: 'Easy read: replace difficult words with simpler ones (definitions on hover/focus)',
+    letterSpacing: 'Extra letter spacing in em (0 = site spacing)',
+    lineHeight: 'Line height as a multiple of the font size (0 = site line height)',
+    wordSpacing: 'Extra word spacing in em (0 = site spacing)',
+    paragraphSpacing: 'Space after paragraphs in em (0 = site spacing)',
+    textSpacingTest: 'Apply exactly the WCAG 1.4.12 text spacing (line height 1.5, paragraphs 2em, letters 0.12em, words 0.16em)',
     highlightAsRead: 'Highlight words as TTS reads',
     translateTargetLang: 'Translation target language code',
     monospaceFont: 'Use monospace font',
-    focusStrip: 'Focus strip (dim except current line)',
+    focusStrip: 'Reading mask (dim the page except a window at the reading guide line)',
+    focusStripHeight: 'Reading mask window height in px (40-400)',
+    focusStripOpacity: 'Reading mask opacity (0.1-0.9)',
+    focusStripColor: 'Reading mask tint (#rrggbb)',
     enlargeFocus: 'Enlarge focus indicator',
     showLinkUrl: 'Show link URL on focus',
     reduceTransparency: 'Reduce transparency',
     highlightForms: 'Highlight form fields and add hints',
     contentWidth: 'Content width (full, narrow, narrower)',
-    guestMode: 'Do not persist to localStorage',
+    reflow: 'Reflow mode: linearize columns, scroll wide tables in place, unstick fixed headers/footers, wrap long strings (WCAG 1.4.10)',
+    followSystem: 'Follow OS accessibility settings (SYSTEM_PREFERENCE_RULES) for settings not chosen in the panel',
+    guestMode: 'Do not persist to localStorage (init option only)',
   };
 
   // CSS classes applied by the widget to the root (openaccessible-widget-root).
   var WIDGET_ROOT_CLASSES = [
     'oa-color-grayscale', 'oa-color-invert', 'oa-color-sepia', 'oa-color-protanopia', 'oa-color-deuteranopia', 'oa-color-tritanopia', 'oa-color-dark', 'oa-color-light',
-    'oa-dyslexia', 'oa-highlight-links', 'oa-highlight-headings', 'oa-focus-visible', 'oa-underline-links', 'oa-reduce-motion', 'oa-reading-guide',
-    'oa-ls-wide', 'oa-ls-wider', 'oa-lh-relaxed', 'oa-lh-loose', 'oa-ws-wide', 'oa-monospace', 'oa-focus-strip', 'oa-enlarge-focus', 'oa-show-link-url',
-    'oa-reduce-transparency', 'oa-highlight-forms', 'oa-content-narrow', 'oa-content-narrower',
+    'oa-font-family', 'oa-highlight-links', 'oa-highlight-headings', 'oa-focus-visible', 'oa-underline-links', 'oa-reduce-motion', 'oa-reading-guide',
+    'oa-ls', 'oa-lh', 'oa-ws', 'oa-ps', 'oa-monospace', 'oa-focus-strip', 'oa-enlarge-focus', 'oa-show-link-url',
+    'oa-reduce-transparency', 'oa-highlight-forms', 'oa-content-narrow', 'oa-content-narrower', 'oa-reflow',
   ];
 
-  // Return suggested state overrides based on system preferences (reduced motion, color scheme).
+  // Return suggested state overrides based on system preferences (SYSTEM_PREFERENCE_RULES: color scheme, motion, transparency, contrast, inverted/forced colors).
   function getSuggestedSettings() {
     var suggested = {};
-    if (getPreferredReducedMotion()) suggested.reduceMotion = true;
-    var scheme = getPreferredColorScheme();
-    if (scheme === 'dark') suggested.colorFilter = 'dark';
-    else if (scheme === 'light') suggested.colorFilter = 'light';
+    if (typeof global.matchMedia !== 'function') return suggested;
+    SYSTEM_PREFERENCE_RULES.forEach(function (rule) {
+      var matches = false;
+      try { matches = global.matchMedia(rule.query).matches; } catch (_) {}
+      if (!matches) return;
+      var patch = rule.preset ? (BUILTIN_PRESETS[rule.preset] || {}).state : rule.state;
+      Object.keys(patch || {}).forEach(function (k) { suggested[k] = patch[k]; });
+    });
     return suggested;
   }
 
+  // --- Follow my system: getSuggestedSettings() as a live layer under the user's own choices ---
+  // Re-compute system overrides (followSystem on) or drop them (off). Keys the user changed, non-default keys and locked keys are never touched.
+  // Mutates state only; returns true when a value changed.
+  function updateSystemOverrides() {
+    var patch = state.followSystem ? getSuggestedSettings() : {};
+    var changed = false;
+    Object.keys(systemOverrides).forEach(function (k) {
+      if (patch.hasOwnProperty(k)) return;
+      if (state[k] !== defaultState[k]) changed = true;
+      state[k] = defaultState[k];
+      delete systemOverrides[k];
+    });
+    Object.keys(patch).forEach(function (k) {
+      if (!STATE_SCHEMA.hasOwnProperty(k) || lockedKeys.hasOwnProperty(k)) return;
+      var overridden = systemOverrides.hasOwnProperty(k);
+      if (!overridden && (userTouchedKeys[k] || state[k] !== defaultState[k] || patch[k] === defaultState[k])) return;
+      systemOverrides[k] = patch[k];
+      if (state[k] !== patch[k]) { state[k] = patch[k]; changed = true; }
+    });
+    return changed;
+  }
+
+  // Keys changed by a user action (panel, preset, setState, import, undo) become explicit: the system layer leaves them alone from now on.
+  function markUserChanges(before) {
+    Object.keys(before).forEach(function (k) {
+      if (before[k] === state[k]) return;
+      userTouchedKeys[k] = true;
+      delete systemOverrides[k];
+      delete sharedValues[k];
+    });
+    if (Object.keys(before).some(function (k) { return before[k] !== state[k]; })) noteScheduleOverride();
+  }
+
+  // State as the user chose it: system overrides are replaced by defaults and page-view-only share-link values by the user's own
+  // (for storage, server sync, export and share links).
+  function getUserState() {
+    var out = { ...state };
+    Object.keys(systemOverrides).forEach(function (k) { out[k] = defaultState[k]; });
+    Object.keys(sharedValues).forEach(function (k) { out[k] = sharedValues[k]; });
+    return out;
+  }
+
+  // Explicitly chosen keys listed in a stored, imported, remote or shared object's userKeys, as a userTouchedKeys set.
+  function readUserKeys(data) {
+    var out = {};
+    if (data && Array.isArray(data.userKeys)) data.userKeys.forEach(function (k) { if (STATE_SCHEMA.hasOwnProperty(k) && PROTECTED_STATE_KEYS.indexOf(k) === -1) out[k] = true; });
+    return out;
+  }
+
+  // Attach matchMedia change listeners while followSystem is on; detach them when it is off.
+  function watchSystemPreferences() {
+    if (state.followSystem && !systemQueries.length && typeof global.matchMedia === 'function') {
+      SYSTEM_PREFERENCE_RULES.forEach(function (rule) {
+        try {
+          var mql = global.matchMedia(rule.query);
+          if (mql.addEventListener) mql.addEventListener('change', onSystemPreferenceChange);
+          else if (mql.addListener) mql.addListener(onSystemPreferenceChange);
+          systemQueries.push(mql);
+        } catch (_) {}
+      });
+    } else if (!state.followSystem && systemQueries.length) {
+      systemQueries.forEach(function (mql) {
+        if (mql.removeEventListener) mql.removeEventListener('change', onSystemPreferenceChange);
+        else if (mql.removeListener) mql.removeListener(onSystemPreferenceChange);
+      });
+      systemQueries = [];
+    }
+  }
+
+  // An OS setting changed: re-apply the system layer live and emit change with source 'system'.
+  function onSystemPreferenceChange() {
+    if (!updateSystemOverrides()) return;
+    applyToDocument();
+    if ($panel) syncPanelFromState();
+    emit('change', { ...state, source: 'system' });
+  }
+
   // Return default state as a plain object (for reset or export template).
   function getDefaultStateSnapshot() {
     var out = {};
@@ -1055,9 +1860,10 @@ contentWidth: 'full',          // full | narrow | narrower
 
   // Panel section titles and data-oa-opt control names (for automation or tests).
   var PANEL_SECTIONS = [
-    { title: 'Color & contrast', opts: ['colorFilter', 'contrast'] },
-    { title: 'Reading & dyslexia', opts: ['dyslexiaFont'] },
-    { title: 'Size', opts: ['letterSpacing', 'lineHeight', 'wordSpacing', 'fontSize', 'cursorSize'] },
+    { title: 'Color & contrast', opts: ['colorFilter', 'colorCorrection', 'colorCorrectionStrength', 'contrast', 'saturation', 'brightness', 'hueRotate', 'contrastFix'] },
+    { title: 'Color theme', opts: ['themeText', 'themeBackground', 'themeLink', 'themeVisited', 'themeFocus'] },
+    { title: 'Reading & dyslexia', opts: ['fontFamily', 'simplifiedWords'] },
+    { title: 'Size', opts: ['lineHeight', 'paragraphSpacing', 'letterSpacing', 'wordSpacing', 'textSpacingTest', 'fontSize', 'cursorSize'] },
     { title: 'Highlight', opts: ['highlightLinks', 'highlightHeadings', 'highlightFocus', 'underlineLinks'] },
     { title: 'Text-to-speech', opts: ['ttsEnabled', 'ttsMuted', 'highlightAsRead', 'ttsRate', 'ttsPitch', 'ttsVoice'] },
     { title: 'Voice commands', opts: ['voiceNavigationEnabled'] },
@@ -1066,34 +1872,65 @@ contentWidth: 'full',          // full | narrow | narrower
     { title: 'Presets', opts: [] },
     { title: 'Navigation', opts: [] },
     { title: 'Visibility & focus', opts: ['enlargeFocus', 'showLinkUrl', 'reduceTransparency', 'highlightForms'] },
-    { title: 'Layout', opts: ['contentWidth'] },
-    { title: 'More', opts: ['monospaceFont', 'focusStrip', 'reduceMotion', 'readingGuide', 'screenReaderHints', 'toolbarPosition'] },
+    { title: 'Layout', opts: ['contentWidth', 'reflow'] },
+    { title: 'More', opts: ['monospaceFont', 'focusStrip', 'focusStripHeight', 'focusStripOpacity', 'focusStripColor', 'reduceMotion', 'readingGuide', 'readingGuideFollow', 'screenReaderHints', 'followSystem', 'toolbarPosition'] },
     { title: 'Settings', opts: [] },
   ];
 
   /*
    * Internal function index (for maintainers; not exhaustive):
    * Storage: readStorage, writeStorage, getSavedPresets, setSavedPresets.
-   * Presets: applyPreset, saveCurrentAsPreset, deletePreset.
+   * State schema: migrateState, coerceStateValue, validateState, normalizeStoredState (STATE_SCHEMA, STATE_MIGRATIONS, STATE_SCHEMA_VERSION).
+   * State updates: updateState (setState + import), commitStateChange (shared by panel, setState, import).
+   * Host policy: configureHostPolicy, getAvailablePresets, enforceKeyLocks, applyPanelKeyPolicy.
+   * Presets: applyPreset, newPresetId, saveCurrentAsPreset, deletePreset, renamePreset, duplicatePreset, updatePresetState, movePreset,
+   *   getPresetOverrides, getPresetLabel, fillPresetSelect.
+   * Schedule: parseScheduleTime, formatScheduleTime, normalizeScheduleRule, readSchedule, writeSchedule, getSchedule, scheduleOccurrence, findScheduleOccurrence,
+   *   nextScheduleBoundary, evaluateSchedule, noteScheduleOverride, resumeSchedule, setSchedule, getScheduleStatus, syncScheduleTimer, onScheduleVisibility.
+   * Preset packs: checkPresetPack, exportPresetPack, downloadPresetPack, importPresetPack (PRESET_PACK_FORMAT, PRESET_PACK_VERSION).
+   * Preset manager: stateKeyLabel, formatPresetValue, renderPresetItem, renderPresetEditor, renderPresetPackControls, formatWeekday,
+   *   formatStatusTime, renderScheduleSection, renderPresetManager, showPresetManager.
+   * Share links: encodeShareState, decodeShareState, readShareParam, withoutShareParam, stripShareParam, applyShareLink, getShareLink, copyShareLink.
+   * Undo/redo: snapshotState, recordHistory, restoreHistory, undo, redo, syncHistoryButtons.
+   * Cross-tab sync: watchStorageSync, onStorageSync, applyRemoteState.
+   * Profiles: matchProfilePath, resolveProfile, getProfileStorageKey, getActiveStorageKey, setProfileScope, getProfiles, clearProfile, syncProfileScopeControl.
    * Network: fetchWithTimeout.
    * Focus: getFocusableElements, trapFocus, getPanelFocusables, setupPanelFocusTrap.
    * Modals: showKeyboardShortcuts, showAbout.
    * Options: buildLanguageOptions, normalizeInitOptions.
-   * DOM apply: applyToDocument, applyFormLabelHints, loadDyslexiaFont.
-   * Panel: createPanel, syncPanelFromState, applyFromPanel, updateToolbarPosition, updateToolbarActive.
+   * Localization: matchLocale, resolveLocale, loadLocaleStrings, getLocaleBase, loadLocale, switchLocale, setLocale, t, tHtml, applyLocale,
+   *   refreshLocalizedUi, watchDocumentLang.
+   * Direction: isRtlLanguage, resolveDirection, applyDirection.
+   * DOM apply: applyToDocument, applyFormLabelHints.
+   * Fonts: getFontBase, loadFontFamily, applyFontFamily.
+   * Text spacing: textSpacingValues, syncSpacingControls.
+   * Color blindness: multiplyMatrix3, colorMatrixValues, correctionMatrix, ensureSvgFilters, syncCorrectionFilter.
+   * Filter chain: linearStep, saturateStep, hueRotateStep, colorFilterSteps, filterSteps, filterColor, updateFilterReadouts.
+   * Page filter: filterExcludeSelector, collectFilterTargets, isFixedPosition, retargetPageFilter, formatCssColor, paintFilterContainers, onFilterMutation,
+   *   releasePageFilter, syncPageFilter.
+   * Reflow: reflowKind, scanReflow, wrapReflowTable, updateReflowTables, onReflowMutation, onReflowResize, releaseReflow, syncReflow.
+   * Dark theme: parseCssColor, rgbToHsl, hslToRgb, darkThemeColor, darkThemeDeclaration, scanDarkTheme.
+   * Contrast fix: relativeLuminance, contrastRatio, blendColors, effectiveBackground, lightnessForContrast, formatRgb, fixElementContrast, scanContrast, getContrastReport.
+   * Color theme: parseHexColor, formatThemeRatio, updateThemeReadouts, applyTheme.
+   * Recolor (dark theme + contrast fix): recolorCandidates, recolorSignature, addRecolorRule, clearRecolor, pageClasses, colorDeclarations, untagRecolor,
+   *   onRecolorMutation, syncRecolor.
+   * Panel: createPanel, rebuildPanel, syncPanelFromState, applyFromPanel, updateToolbarPosition, updateToolbarActive.
    * Toolbar: createToolbar.
    * TTS: isTtsMuted, syncTtsVoiceFromPanel, getTtsVoiceObject, applyTtsOptionsToUtterance, stopTTS, speakElement, speakSelection, testVoice,
    *   readPageWithTTS, openReadingViewAndSpeak, closeReadingView, escapeHtml, chunkTextForTts, playNextServerTts.
    * Voice nav: getSpeechRecognition, stopVoiceNavigation, startVoiceNavigation, ensureVoiceNavigation.
    * Translate: requestTranslate, requestTranslateChunked, splitTextIntoChunks, showTranslatedPageOverlay.
    * Dictionary: initDictionary, showWordModal, speakTextForModalBrowser, fetchDefinition.
+   * Easy read: getSimplifyPattern, matchWordCase, createSimplifiedWord, isSimplifiable, simplifyTree, setSimplifiedTabStop, onSimplifiedWordEvent,
+   *   onSimplifyMutation, applySimplifiedWords, restoreSimplifiedWords.
    * UI: showTooltip, showHeadingsOutline, showImageDescriptions, showSelectionBar, hideSelectionBar.
    * Export/import: exportSettings, importSettingsFromFile.
    * Link URL: initLinkUrlOnFocus, onLinkFocusIn.
-   * Reading guide: initReadingGuide.
-   * Focus strip: ensureFocusStripMask, removeFocusStripMask.
+   * Reading guide: ensureReadingGuide, removeReadingGuide, moveReadingGuide, onReadingGuideKey, onReadingGuideDrag, caretLineY, followCaret, initReadingGuide.
+   * Focus strip (reading mask): ensureFocusStripMask, removeFocusStripMask, updateMaskReadouts.
    * API: syncApiPreferences, checkOpenAccessibleAccount, updateFooterAccountBadge.
    * A11y checks: getHeadingsSummary, getImagesWithoutAlt, getFormFieldsWithoutLabels, getAccessibilitySummary.
+   * Follow my system: updateSystemOverrides, markUserChanges, getUserState, readUserKeys, watchSystemPreferences, onSystemPreferenceChange (SYSTEM_PREFERENCE_RULES).
    * Utilities: getSuggestedSettings, getDefaultStateSnapshot, debounce, throttle, getPreferredColorScheme, getPreferredReducedMotion,
    *   hasAccessibleLabel, getControlLabel, applyReadingOrderIndicators, removeReadingOrderIndicators.
    * Icon: getScriptBase, renderIcon.
@@ -1101,10 +1938,17 @@ contentWidth: 'full',          // full | narrow | narrower
    * Skip link: injectSkipLink.
    * Public: init, reset, togglePanel.
    *
-   * State keys and types (for host or tooling):
+   * State keys and types (for host or tooling; enforced by STATE_SCHEMA when loading saved, preset, imported or server state):
    * colorFilter: string (none|grayscale|invert|sepia|protanopia|deuteranopia|tritanopia|dark|light)
-   * dyslexiaFont: boolean
+   * colorCorrection: string (none|protanopia|deuteranopia|tritanopia|achromatopsia)
+   * colorCorrectionStrength: number (0-100, percent)
+   * fontFamily: string (''|opendyslexic|atkinson|lexend|system-sans|serif)
    * contrast: number (1 = normal)
+   * saturation: number (0-2, 1 = normal)
+   * brightness: number (0.5-1.5, 1 = normal)
+   * hueRotate: number (0-360 degrees)
+   * contrastFix: string (off|aa|aaa)
+   * themeText, themeBackground, themeLink, themeVisited, themeFocus: string ('#rrggbb' or '' for site colors)
    * fontSize: number (percentage)
    * cursorSize: string (default|large|xl)
    * highlightLinks, highlightHeadings, highlightFocus: boolean
@@ -1115,16 +1959,21 @@ contentWidth: 'full',          // full | narrow | narrower
    * textAlign: string (''|left|center|right|justify)
    * language: string (BCP 47 or '')
    * reduceMotion, underlineLinks, readingGuide: boolean
+   * readingGuidePos: number (px from the viewport top; 0 = a third of the way down)
+   * readingGuideFollow: string (pointer|caret|none)
    * toolbarPosition: string (top|bottom + left|right)
    * dictionaryEnabled, simplifiedWords, screenReaderHints: boolean
-   * letterSpacing: string (normal|wide|wider)
-   * lineHeight: string (normal|relaxed|loose)
-   * wordSpacing: string
+   * followSystem: boolean (apply SYSTEM_PREFERENCE_RULES for keys the user has not set)
+   * letterSpacing, wordSpacing, paragraphSpacing: number (em; 0 = site spacing)
+   * lineHeight: number (multiple of font size; 0 = site line height)
+   * textSpacingTest: boolean
    * highlightAsRead: boolean
    * translateTargetLang: string (language code or '')
    * monospaceFont, focusStrip, enlargeFocus, showLinkUrl: boolean
+   * focusStripHeight: number (40-400 px), focusStripOpacity: number (0.1-0.9), focusStripColor: string ('#rrggbb')
    * reduceTransparency, highlightForms: boolean
    * contentWidth: string (full|narrow|narrower)
+   * reflow: boolean
    * guestMode: boolean (do not persist)
    * lastPresetName: string|null (UI only)
    *
@@ -1146,30 +1995,39 @@ contentWidth: 'full',          // full | narrow | narrower
    *
    * Emit events (detail payloads):
    *   openaccessible:ready       -> { state, version }
-   *   openaccessible:change       -> state (full object)
+   *   openaccessible:change       -> state (full object); changes made in another tab add source: 'remote-tab', OS setting changes (followSystem) add source: 'system'
    *   openaccessible:preset:apply -> { presetId, presetName }
    *   openaccessible:preset:saved -> { presetId, presetName }
    *   openaccessible:preset:deleted -> { presetId }
+   *   openaccessible:preset:updated -> { presetId, presetName }
+   *   openaccessible:preset:imported -> { packName, mode, added, updated, skipped, rejected }
+   *   openaccessible:contrast     -> { level, fixed, unresolved }
+   *   openaccessible:schedule     -> { presetId, presetName, from, to, until, overridden, overrideUntil, nextChange }
    *   openaccessible:tts:start    -> {}
    *   openaccessible:tts:stop     -> {}
    *   openaccessible:translate:start -> { lang, length }
    *   openaccessible:translate:done  -> { lang, error? }
+   *   openaccessible:locale       -> { locale, requested?, error? }
+   *   openaccessible:profile      -> { profileId, scope }
+   *   openaccessible:history      -> { canUndo, canRedo }
    */
 
   // All data-oa-opt attribute values used in the panel (for automation or validation).
   var PANEL_OPT_NAMES = [
-    'colorFilter', 'contrast', 'dyslexiaFont', 'fontSize', 'cursorSize', 'highlightLinks', 'highlightHeadings', 'highlightFocus',
-    'underlineLinks', 'letterSpacing', 'lineHeight', 'wordSpacing', 'ttsEnabled', 'ttsMuted', 'highlightAsRead', 'ttsRate', 'ttsPitch', 'ttsVoice',
-    'voiceNavigationEnabled', 'translateTargetLang', 'textAlign', 'language', 'dictionaryEnabled', 'screenReaderHints',
-    'enlargeFocus', 'showLinkUrl', 'reduceTransparency', 'highlightForms', 'contentWidth', 'monospaceFont', 'focusStrip',
-    'reduceMotion', 'readingGuide', 'toolbarPosition', 'simplifiedWords',
+    'colorFilter', 'colorCorrection', 'colorCorrectionStrength', 'contrast', 'saturation', 'brightness', 'hueRotate', 'contrastFix', 'themeText', 'themeBackground', 'themeLink', 'themeVisited', 'themeFocus', 'fontFamily', 'fontSize', 'cursorSize', 'highlightLinks', 'highlightHeadings', 'highlightFocus',
+    'underlineLinks', 'letterSpacing', 'lineHeight', 'wordSpacing', 'paragraphSpacing', 'textSpacingTest', 'ttsEnabled', 'ttsMuted', 'highlightAsRead', 'ttsRate', 'ttsPitch', 'ttsVoice',
+    'voiceNavigationEnabled', 'translateTargetLang', 'textAlign', 'language', 'dictionaryEnabled', 'screenReaderHints', 'followSystem',
+    'enlargeFocus', 'showLinkUrl', 'reduceTransparency', 'highlightForms', 'contentWidth', 'reflow', 'monospaceFont', 'focusStrip',
+    'focusStripHeight', 'focusStripOpacity', 'focusStripColor', 'reduceMotion', 'readingGuide', 'readingGuideFollow', 'toolbarPosition', 'simplifiedWords',
   ];
 
-  // Spacing option values for letter, line, word.
-  var SPACING_OPTIONS = {
-    letterSpacing: [{ value: 'normal', label: 'Normal' }, { value: 'wide', label: 'Wide' }, { value: 'wider', label: 'Wider' }],
-    lineHeight: [{ value: 'normal', label: 'Normal' }, { value: 'relaxed', label: 'Relaxed' }, { value: 'loose', label: 'Loose' }],
-    wordSpacing: [{ value: 'normal', label: 'Normal' }, { value: 'wide', label: 'Wide' }],
+  // Text spacing controls (WCAG 1.4.12): slider range and step, CSS unit, custom property and $root class, and the WCAG minimum.
+  // A value of 0 (or a line height of 1 or less) leaves the site's own spacing.
+  var TEXT_SPACING = {
+    lineHeight: { min: 1, max: 3, step: 0.1, unit: '', prop: '--oa-lh', cls: 'oa-lh', wcag: 1.5 },
+    paragraphSpacing: { min: 0, max: 4, step: 0.25, unit: 'em', prop: '--oa-ps', cls: 'oa-ps', wcag: 2 },
+    letterSpacing: { min: 0, max: 0.5, step: 0.01, unit: 'em', prop: '--oa-ls', cls: 'oa-ls', wcag: 0.12 },
+    wordSpacing: { min: 0, max: 0.6, step: 0.02, unit: 'em', prop: '--oa-ws', cls: 'oa-ws', wcag: 0.16 },
   };
 
   // Cursor size options.
@@ -1212,7 +2070,8 @@ contentWidth: 'full',          // full | narrow | narrower
   let $root = null;
   let $panel = null;
   let activeHighlights = [];
-  let readingGuideEl = null;
+  let readingGuideEl = null;       // #openaccessible-reading-guide ruler while readingGuide is on
+  let readingGuideY = null;       // viewport y of the reading line shared by the guide and mask (null = not placed yet)
   let ttsUtterance = null;
   let ttsSynth = null;
   let useServerTts = false;
@@ -1224,88 +2083,400 @@ contentWidth: 'full',          // full | narrow | narrower
   let hasOpenAccessibleAccount = false;
   let voiceRecognition = null;    // SpeechRecognition instance when voice nav is on
   let voiceRecognitionActive = false;
+  let userLocale = '';            // set by api.setLocale(); wins over everything else
+  let configLocale = '';          // OpenAccessibleConfig.locale; wins over <html lang> and navigator.languages
+  let localeBaseUrl = '';         // OpenAccessibleConfig.localeBaseUrl; default is locales/ next to widget.js
+  let fontBaseUrl = '';           // OpenAccessibleConfig.fontBaseUrl; default is fonts/ next to widget.js
+  let localeLoads = {};           // locale code -> pending/settled load promise
+  let scriptBase = '';            // getScriptBase() captured while widget.js executes
+  let configDirection = '';       // OpenAccessibleConfig.direction: 'ltr' | 'rtl' forces the UI direction; '' / 'auto' follows locale and page
+  let widgetDir = 'ltr';          // resolved direction of the widget UI
+  let historyPast = [];           // state snapshots before each change (undo stack)
+  let historyFuture = [];         // snapshots undone (redo stack); cleared by any new change
+  let lastHistoryMark = null;     // { key, time } of the last panel change, for coalescing
+  let recolorObserver = null;     // MutationObserver re-scanning changed content while the dark theme or contrast fix is on
+  let recolorRules = { dark: {}, contrast: {}, filter: {} };  // per kind: declaration -> rule number (data-oa-dark / -contrast / -filter-bg value)
+  let recolorPending = [];        // elements queued for the next re-scan (with their descendants)
+  let recolorPendingOwn = [];     // restyled elements queued for the next re-scan of themselves only
+  let recolorColors = new WeakMap();  // element -> recolorSignature() read when it was last scanned
+  let recolorScanTimer = null;    // timeout for the queued re-scan
+  let darkThemeOn = false;        // the dark theme has scanned $root
+  let contrastLevel = '';         // contrastFix level, colorFilter and theme colors the contrast fix was computed for ('' = off)
+  let contrastEntries = [];       // contrast fix report: one entry per adjusted (or unfixable) element
+  let filterExclude = '';         // OpenAccessibleConfig.filterExclude: extra selector of page elements the filter leaves alone
+  let pageFilter = '';            // filter chain applied to the page ('' = none)
+  let filterContainers = [];      // unfiltered ancestors of kept-out elements (html, body, wrappers); their background is filtered instead
+  let filterObserver = null;      // MutationObserver re-targeting the filter while one is applied
+  let filterRetargetTimer = null; // timeout for the batched re-targeting
+  let reflowLevel = '';           // text size and measure the reflow tags were measured for ('' = reflow off)
+  let reflowObserver = null;      // MutationObserver tagging content the page adds while reflow is on
+  let reflowPending = [];         // added elements queued for the next reflow scan
+  let reflowScanTimer = null;     // timeout for the queued reflow scan
+  let reflowTables = [];          // .oa-reflow-table scroll boxes wrapped around page tables
+  let shareLinksEnabled = true;   // OpenAccessibleConfig.shareLinks: false ignores ?oa= / #oa= on init
+  let shareLinkPersist = true;    // OpenAccessibleConfig.shareLinkPersist: false applies shared settings for this page view only
+  let hostPresets = {};           // OpenAccessibleConfig.presets: id -> { name, state } (validated)
+  let hideBuiltinPresets = false; // OpenAccessibleConfig.hideBuiltinPresets: only host and user presets are offered
+  let lockedKeys = {};            // state key -> pinned value (OpenAccessibleConfig.lockedKeys, plus hiddenKeys at their defaults)
+  let hiddenKeys = [];            // OpenAccessibleConfig.hiddenKeys: no panel control is rendered for these
+  let maxPresets = MAX_PRESETS;   // OpenAccessibleConfig.maxPresets: how many user presets can be saved
+  let configSchedule = [];        // OpenAccessibleConfig.schedule (validated); used until the user saves their own schedule
+  let scheduleMemory = {};        // schedule record while guestMode is on (never written to localStorage)
+  let scheduleTimer = null;       // setInterval id while there are schedule rules
+  let scheduleApplying = false;   // true while the schedule itself changes state, so it is not taken as a manual override
+  let systemOverrides = {};       // key -> value currently applied by followSystem (stored as the default underneath)
+  let userTouchedKeys = {};       // keys the user chose explicitly (saved as userKeys); followSystem never overrides them
+  let sharedValues = {};          // shareLinkPersist false: key -> the user's own value under a share-link value (never saved or undone to)
+  let systemQueries = [];         // MediaQueryList objects watched while followSystem is on
+  let profileRules = [];          // OpenAccessibleConfig.profiles: [{ id, name, match }]
+  let activeProfile = null;       // first profile rule matching location.pathname
+  let profileScope = 'global';    // 'section' = settings saved under the active profile's key; 'global' = STORAGE_KEY
+  let localeCode = 'en';          // active UI locale (key in OpenAccessibleLocales, or 'en')
+  let activeStrings = STRINGS;    // STRINGS merged with the active locale
+
+  // --- State schema: migrations and validation ---
+  // Run STATE_MIGRATIONS from version (default 1) up to STATE_SCHEMA_VERSION. Returns a new object without schemaVersion.
+  function migrateState(data, version) {
+    var s = { ...data };
+    delete s.schemaVersion;
+    var v = typeof version === 'number' && version >= 1 ? Math.floor(version) : 1;
+    if (v > STATE_SCHEMA_VERSION) console.warn('OpenAccessible: settings use schema version ' + v + ', newer than ' + STATE_SCHEMA_VERSION + '; unknown values fall back to defaults.');
+    while (v < STATE_SCHEMA_VERSION) {
+      if (STATE_MIGRATIONS[v]) s = STATE_MIGRATIONS[v](s) || s;
+      v++;
+    }
+    return s;
+  }
+
+  // Coerce value to the STATE_SCHEMA type of key. Returns { ok, value }; ok is false when the value cannot be used.
+  function coerceStateValue(key, value) {
+    var rule = STATE_SCHEMA[key];
+    if (value === null && rule.nullable) return { ok: true, value: null };
+    if (rule.type === 'boolean') {
+      if (typeof value === 'boolean') return { ok: true, value: value };
+      if (value === 'true' || value === 1) return { ok: true, value: true };
+      if (value === 'false' || value === 0) return { ok: true, value: false };
+      return { ok: false };
+    }
+    if (rule.type === 'number') {
+      var n = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() ? parseFloat(value) : NaN);
+      if (!isFinite(n)) return { ok: false };
+      if (rule.min != null) n = Math.max(rule.min, n);
+      if (rule.max != null) n = Math.min(rule.max, n);
+      return { ok: true, value: n };
+    }
+    if (typeof value === 'number') value = String(value);
+    if (typeof value !== 'string') return { ok: false };
+    if (rule.values && rule.values.indexOf(value) === -1) return { ok: false };
+    if (rule.format === 'color') {
+      // '#abc' and upper case are accepted and stored as '#aabbcc'.
+      value = value.trim().toLowerCase();
+      if (/^#[0-9a-f]{3}$/.test(value)) value = '#' + value[1] + value[1] + value[2] + value[2] + value[3] + value[3];
+      if (value && !/^#[0-9a-f]{6}$/.test(value)) return { ok: false };
+    }
+    return { ok: true, value: value };
+  }
+
+  // Keep only known keys with valid (or coercible) values; invalid values are dropped with a console warning so defaults apply.
+  function validateState(data, source) {
+    var out = {};
+    if (!data || typeof data !== 'object') return out;
+    Object.keys(data).forEach(function (k) {
+      if (!STATE_SCHEMA.hasOwnProperty(k)) return;
+      var res = coerceStateValue(k, data[k]);
+      if (res.ok) out[k] = res.value;
+      else console.warn('OpenAccessible: ignoring invalid ' + k + ' ' + JSON.stringify(data[k]) + (source ? ' from ' + source : '') + '; using default ' + JSON.stringify(defaultState[k]) + '.');
+    });
+    return out;
+  }
+
+  // Keys the host controls (init/guest mode, preset bookkeeping); updateState rejects them.
+  const PROTECTED_STATE_KEYS = ['guestMode', 'lastPresetName'];
+
+  // Single state-update pipeline for setState, settings import and share links: rejects unknown/protected keys, coerces types, then commits.
+  // options.replace starts from defaultState (import) instead of the current state; options.persist === false applies the patch for this
+  // page view only: it is kept out of history, and the user's own values stay in sharedValues for storage and server sync.
+  // options.presetName sets lastPresetName in the same commit. Returns { ok, applied, rejected: [{ key, value, reason }] }.
+  function updateState(patch, options) {
+    options = options || {};
+    var result = { ok: false, applied: {}, rejected: [] };
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      result.rejected.push({ key: null, value: patch, reason: 'not-object' });
+      return result;
+    }
+    Object.keys(patch).forEach(function (k) {
+      if (!STATE_SCHEMA.hasOwnProperty(k)) { result.rejected.push({ key: k, value: patch[k], reason: 'unknown' }); return; }
+      if (PROTECTED_STATE_KEYS.indexOf(k) !== -1) { result.rejected.push({ key: k, value: patch[k], reason: 'protected' }); return; }
+      if (lockedKeys.hasOwnProperty(k)) { result.rejected.push({ key: k, value: patch[k], reason: 'locked' }); return; }
+      var res = coerceStateValue(k, patch[k]);
+      if (res.ok) result.applied[k] = res.value;
+      else result.rejected.push({ key: k, value: patch[k], reason: 'invalid' });
+    });
+    result.ok = result.rejected.length === 0;
+    if (!Object.keys(result.applied).length && !options.replace) return result;
+    var before = snapshotState();
+    var base = options.replace ? { ...defaultState, guestMode: state.guestMode } : state;
+    state = { ...base, ...result.applied };
+    if (options.presetName) state.lastPresetName = options.presetName;
+    if (options.persist === false) {
+      Object.keys(result.applied).forEach(function (k) {
+        if (!sharedValues.hasOwnProperty(k) && before[k] !== state[k]) sharedValues[k] = systemOverrides.hasOwnProperty(k) ? defaultState[k] : before[k];
+      });
+    } else recordHistory(before);
+    commitStateChange(true, options.persist);
+    return result;
+  }
+
+  // Persist and apply state after any change (panel, setState, import) and fire 'change'; syncPanel re-renders panel controls, persist false skips saving.
+  function commitStateChange(syncPanel, persist) {
+    if (persist !== false) writeStorage();
+    applyToDocument();
+    if (syncPanel && $panel) syncPanelFromState();
+    updateToolbarPosition();
+    ensureVoiceNavigation();
+    if (persist !== false) syncApiPreferences('save');
+    emit('change', state);
+  }
+
+  // --- Undo/redo: bounded history of state snapshots (panel, presets, setState, import, reset) ---
+  // Copy of state for the history stacks (guestMode is host-controlled and never restored).
+  function snapshotState() {
+    var s = { ...state };
+    delete s.guestMode;
+    return s;
+  }
+
+  // History entry for snapshot: page-view-only share-link values are replaced by the user's own, so undo and redo never bring them back.
+  function historyEntry(snapshot) {
+    var out = { ...snapshot };
+    Object.keys(sharedValues).forEach(function (k) { out[k] = sharedValues[k]; });
+    return out;
+  }
+
+  // Push the snapshot taken before a change onto the undo stack and clear redo; coalesceKey merges rapid changes of the same control.
+  function recordHistory(before, coalesceKey) {
+    var entry = historyEntry(before);
+    markUserChanges(before);
+    var changed = Object.keys(before).some(function (k) { return before[k] !== state[k]; });
+    if (!changed) return;
+    var now = Date.now();
+    if (coalesceKey && lastHistoryMark && lastHistoryMark.key === coalesceKey && now - lastHistoryMark.time < HISTORY_COALESCE_MS) {
+      lastHistoryMark.time = now;
+    } else {
+      historyPast.push(entry);
+      if (historyPast.length > HISTORY_LIMIT) historyPast.shift();
+      lastHistoryMark = coalesceKey ? { key: coalesceKey, time: now } : null;
+    }
+    historyFuture = [];
+    syncHistoryButtons();
+  }
+
+  // Move one snapshot from one stack to the other and apply it like any other change; both stacks keep at most HISTORY_LIMIT entries.
+  function restoreHistory(from, to) {
+    if (!from.length) return false;
+    var before = snapshotState();
+    to.push(historyEntry(before));
+    if (to.length > HISTORY_LIMIT) to.shift();
+    state = { ...defaultState, ...from.pop(), guestMode: state.guestMode };
+    markUserChanges(before);
+    lastHistoryMark = null;
+    commitStateChange(true);
+    syncHistoryButtons();
+    emit('history', { canUndo: historyPast.length > 0, canRedo: historyFuture.length > 0 });
+    return true;
+  }
+
+  // Revert the last settings change. Returns false when there is nothing to undo.
+  function undo() {
+    return restoreHistory(historyPast, historyFuture);
+  }
+
+  // Re-apply the last undone change. Returns false when there is nothing to redo.
+  function redo() {
+    return restoreHistory(historyFuture, historyPast);
+  }
+
+  // Enable or disable the panel Undo/Redo buttons.
+  function syncHistoryButtons() {
+    if (!$panel) return;
+    var undoBtn = $panel.querySelector('[data-oa-undo]');
+    var redoBtn = $panel.querySelector('[data-oa-redo]');
+    if (undoBtn) undoBtn.disabled = historyPast.length === 0;
+    if (redoBtn) redoBtn.disabled = historyFuture.length === 0;
+  }
+
+  // Migrate then validate a stored, imported or remote state object (schemaVersion read from the object itself).
+  function normalizeStoredState(data, source) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return {};
+    return validateState(migrateState(data, data.schemaVersion), source);
+  }
+
+  // --- Profiles: per-section preferences stored under STORAGE_KEY + ':' + profile id ---
+  // True when path matches pattern: RegExp, glob with * (e.g. '/app/*'), or plain path prefix.
+  function matchProfilePath(pattern, path) {
+    if (pattern instanceof RegExp) return pattern.test(path);
+    if (typeof pattern !== 'string' || !pattern) return false;
+    if (pattern.indexOf('*') === -1) return path.indexOf(pattern) === 0;
+    var re = new RegExp('^' + pattern.split('*').map(function (part) { return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'); }).join('.*') + '$');
+    return re.test(path);
+  }
+
+  // Return the first configured profile whose match pattern(s) cover the current path, or null.
+  function resolveProfile() {
+    var path = global.location ? global.location.pathname : '/';
+    return profileRules.find(function (rule) {
+      return rule.match.some(function (pattern) { return matchProfilePath(pattern, path); });
+    }) || null;
+  }
+
+  // localStorage key for a profile's preferences.
+  function getProfileStorageKey(id) {
+    return STORAGE_KEY + ':' + id;
+  }
+
+  // Key that readStorage/writeStorage currently use (active profile in section scope, else the global key).
+  function getActiveStorageKey() {
+    return profileScope === 'section' && activeProfile ? getProfileStorageKey(activeProfile.id) : STORAGE_KEY;
+  }
+
+  // Switch where preferences are saved: 'section' copies the current settings to the active profile, 'global' drops the profile and saves them everywhere.
+  function setProfileScope(scope) {
+    if (!activeProfile || (scope !== 'section' && scope !== 'global') || state.guestMode) return false;
+    if (scope === 'global') {
+      try { global.localStorage.removeItem(getProfileStorageKey(activeProfile.id)); } catch (_) {}
+    }
+    profileScope = scope;
+    writeStorage();
+    syncProfileScopeControl();
+    emit('profile', { profileId: activeProfile.id, scope: scope });
+    return true;
+  }
+
+  // List configured profiles with whether each is active on this page and has saved settings.
+  function getProfiles() {
+    return profileRules.map(function (rule) {
+      var saved = false;
+      try { saved = global.localStorage.getItem(getProfileStorageKey(rule.id)) != null; } catch (_) {}
+      return { id: rule.id, name: rule.name, active: rule === activeProfile, saved: saved };
+    });
+  }
+
+  // Delete saved settings of one profile (or of every profile when id is omitted). The page falls back to the global settings if its profile was cleared.
+  function clearProfile(id) {
+    var prefix = STORAGE_KEY + ':';
+    var keys = [];
+    try {
+      if (id) keys.push(getProfileStorageKey(id));
+      else for (var i = 0; i < global.localStorage.length; i++) { var k = global.localStorage.key(i); if (k && k.indexOf(prefix) === 0) keys.push(k); }
+      keys.forEach(function (k) { global.localStorage.removeItem(k); });
+    } catch (_) {}
+    if (activeProfile && profileScope === 'section' && keys.indexOf(getProfileStorageKey(activeProfile.id)) !== -1) {
+      profileScope = 'global';
+      state = { ...defaultState, guestMode: state.guestMode };
+      sharedValues = {};
+      userTouchedKeys = {};
+      readStorage();
+      applyToDocument();
+      if ($panel) syncPanelFromState();
+      updateToolbarPosition();
+      syncProfileScopeControl();
+      emit('profile', { profileId: activeProfile.id, scope: 'global' });
+      emit('change', state);
+    }
+    return keys.length;
+  }
+
+  // Reflect activeProfile and profileScope in the panel's "Apply settings to" control (hidden when no profile matches this page).
+  function syncProfileScopeControl() {
+    var select = $panel && $panel.querySelector('[data-oa-profile-scope]');
+    if (!select) return;
+    select.closest('[data-oa-profile-wrap]').style.display = activeProfile ? '' : 'none';
+    select.options[1].textContent = activeProfile ? t('profileSection', { name: activeProfile.name }) : '';
+    select.value = profileScope;
+  }
 
   // --- Storage & events ---
-// Load saved preferences from localStorage into state.
+// Load saved preferences from localStorage into state (active profile's key when it has saved settings, else STORAGE_KEY).
   function readStorage() {
     if (state.guestMode) return;
     try {
-      const raw = global.localStorage.getItem(STORAGE_KEY);
+      if (activeProfile) profileScope = global.localStorage.getItem(getProfileStorageKey(activeProfile.id)) != null ? 'section' : 'global';
+      const raw = global.localStorage.getItem(getActiveStorageKey());
       if (raw) {
         const parsed = JSON.parse(raw);
-        state = { ...defaultState, ...parsed };
+        state = { ...defaultState, ...normalizeStoredState(parsed, 'saved preferences') };
+        userTouchedKeys = readUserKeys(parsed);
       }
     } catch (_) {}
   }
 
-  // Persist current state to localStorage (no-op when guestMode).
+  // Persist current state to localStorage under getActiveStorageKey() (no-op when guestMode), tagged with STATE_SCHEMA_VERSION, plus the
+  // explicitly chosen keys (userKeys).
   function writeStorage() {
     if (state.guestMode) return;
     try {
-      const toSave = { ...state };
+      const toSave = { schemaVersion: STATE_SCHEMA_VERSION, ...getUserState(), userKeys: Object.keys(userTouchedKeys) };
       delete toSave.guestMode;
       delete toSave.lastPresetName;
-      global.localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
+      global.localStorage.setItem(getActiveStorageKey(), JSON.stringify(toSave));
     } catch (_) {}
   }
 
-  // Return list of user-saved presets from localStorage.
+  // Return list of user-saved presets from localStorage; each preset state is migrated and validated.
   function getSavedPresets() {
     try {
       const raw = global.localStorage.getItem(PRESETS_STORAGE_KEY);
-      if (raw) return JSON.parse(raw);
+      if (raw) {
+        const list = JSON.parse(raw);
+        if (!Array.isArray(list)) return [];
+        return list.filter(function (p) { return p && typeof p === 'object'; }).map(function (p) {
+          return { id: p.id, name: p.name, state: validateState(migrateState(p.state || {}, p.schemaVersion), 'preset "' + p.name + '"'), schemaVersion: STATE_SCHEMA_VERSION };
+        });
+      }
     } catch (_) {}
     return [];
   }
 
-  // Save list of user presets to localStorage.
+  // Save list of user presets to localStorage (each tagged with STATE_SCHEMA_VERSION). The whole list is written: maxPresets only
+  // limits additions (saveCurrentAsPreset, duplicatePreset, importPresetPack), so lowering it never deletes presets users already have.
   function setSavedPresets(list) {
     try {
-      global.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(list.slice(0, MAX_PRESETS)));
+      var tagged = list.map(function (p) { return { ...p, schemaVersion: STATE_SCHEMA_VERSION }; });
+      global.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(tagged));
     } catch (_) {}
   }
 
-  // Apply a built-in or saved preset by id or name; updates state, document, storage, panel.
+  // Apply a built-in, host or saved preset by id or name through updateState, so locked keys keep their pinned values and never reach
+  // storage, the server, the undo history or the schedule override; lastPresetName is set in the same commit.
   function applyPreset(idOrName) {
-    const builtin = BUILTIN_PRESETS[idOrName];
-    if (builtin) {
-      const patch = builtin.state;
-      Object.keys(patch).forEach(function (k) {
-        if (defaultState.hasOwnProperty(k)) state[k] = patch[k];
-      });
-      state.lastPresetName = builtin.name;
-      writeStorage();
-      applyToDocument();
-      if ($panel) syncPanelFromState();
-      syncApiPreferences('save');
-      emit('preset:apply', { presetId: idOrName, presetName: builtin.name });
-      return;
-    }
-    const saved = getSavedPresets().find(function (p) { return p.id === idOrName || p.name === idOrName; });
-    if (saved && saved.state) {
-      Object.keys(saved.state).forEach(function (k) {
-        if (defaultState.hasOwnProperty(k)) state[k] = saved.state[k];
-      });
-      state.lastPresetName = saved.name;
-      writeStorage();
-      applyToDocument();
-      if ($panel) syncPanelFromState();
-      syncApiPreferences('save');
-      emit('preset:apply', { presetId: saved.id, presetName: saved.name });
-    }
+    const builtin = getAvailablePresets()[idOrName];
+    const saved = builtin ? null : getSavedPresets().find(function (p) { return p.id === idOrName || p.name === idOrName; });
+    const preset = builtin || (saved && saved.state ? saved : null);
+    if (!preset) return;
+    updateState(preset.state, { presetName: preset.name });
+    emit('preset:apply', { presetId: builtin ? idOrName : saved.id, presetName: preset.name });
+  }
+
+  // Unique id for a new user preset (Date.now() alone collides when presets are created in the same millisecond).
+  function newPresetId(list) {
+    var id = 'user-' + Date.now();
+    var n = 1;
+    while (list.some(function (p) { return p.id === id; })) id = 'user-' + Date.now() + '-' + (n++);
+    return id;
   }
 
   // Save current state as a named preset. Returns new preset id or null if at limit.
   function saveCurrentAsPreset(name) {
     var list = getSavedPresets();
-    if (list.length >= MAX_PRESETS) return null;
-    var id = 'user-' + Date.now();
+    if (list.length >= maxPresets) return null;
+    var id = newPresetId(list);
     var snapshot = {};
     Object.keys(defaultState).forEach(function (k) {
       if (k !== 'guestMode' && k !== 'lastPresetName' && state.hasOwnProperty(k)) snapshot[k] = state[k];
     });
     list.push({ id: id, name: name || 'My preset', state: snapshot });
     setSavedPresets(list);
+    fillPresetSelect();
     emit('preset:saved', { presetId: id, presetName: name || 'My preset' });
     return id;
   }
@@ -1314,84 +2485,602 @@ contentWidth: 'full',          // full | narrow | narrower
   function deletePreset(id) {
     var list = getSavedPresets().filter(function (p) { return p.id !== id; });
     setSavedPresets(list);
+    fillPresetSelect();
     emit('preset:deleted', { presetId: id });
   }
 
-  // Fetch with timeout and optional retries. Returns promise that resolves to response.json() or rejects.
-  function fetchWithTimeout(url, options, timeoutMs, retries) {
-    timeoutMs = timeoutMs || API_TIMEOUT_MS;
-    retries = retries != null ? retries : API_RETRY_COUNT;
-    function attempt(n) {
-      var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
-      var timeoutId = null;
-      if (controller) {
-        timeoutId = global.setTimeout(function () { controller.abort(); }, timeoutMs);
-        options = options || {};
-        options.signal = controller.signal;
-      }
-      return fetch(url, options)
-        .then(function (r) {
-          if (timeoutId) global.clearTimeout(timeoutId);
-          return r;
-        })
-        .catch(function (err) {
-          if (timeoutId) global.clearTimeout(timeoutId);
-          if (n < retries) return attempt(n + 1);
-          return Promise.reject(err);
-        });
-    }
-    return attempt(0).then(function (r) { return r.json ? r.json() : r.text(); });
+  // Rename a user preset. Returns false for an unknown id or empty name.
+  function renamePreset(id, name) {
+    name = String(name || '').trim();
+    var list = getSavedPresets();
+    var preset = list.find(function (p) { return p.id === id; });
+    if (!preset || !name) return false;
+    preset.name = name;
+    setSavedPresets(list);
+    fillPresetSelect();
+    emit('preset:updated', { presetId: id, presetName: name });
+    return true;
   }
 
-// Dispatch a custom event 'openaccessible:' + name for host page integration.
-  function emit(name, detail) {
-    try {
-      global.dispatchEvent(new CustomEvent('openaccessible:' + name, { detail }));
-    } catch (_) {}
+  // Copy a built-in, host or user preset into a new user preset. Returns the new id, or null for an unknown preset or at maxPresets.
+  function duplicatePreset(idOrName) {
+    var list = getSavedPresets();
+    var source = getAvailablePresets()[idOrName] || list.find(function (p) { return p.id === idOrName || p.name === idOrName; });
+    if (!source || list.length >= maxPresets) return null;
+    var id = newPresetId(list);
+    var name = t('presetCopyName', { name: source.name });
+    list.push({ id: id, name: name, state: { ...source.state } });
+    setSavedPresets(list);
+    fillPresetSelect();
+    emit('preset:saved', { presetId: id, presetName: name });
+    return id;
   }
 
-  // Return focusable elements within container (buttons, links, inputs, selects, textareas, [tabindex>=0]).
-  function getFocusableElements(container) {
-    if (!container || !container.querySelectorAll) return [];
-    var selector = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
-    return Array.prototype.filter.call(container.querySelectorAll(selector), function (el) {
-      return el.offsetParent !== null && (el.offsetWidth > 0 || el.offsetHeight > 0);
+  // Replace the settings a user preset sets; values are coerced against STATE_SCHEMA, invalid and protected keys are dropped. Returns the stored state or null.
+  function updatePresetState(id, presetState) {
+    var list = getSavedPresets();
+    var preset = list.find(function (p) { return p.id === id; });
+    if (!preset || !presetState || typeof presetState !== 'object') return null;
+    var clean = validateState(presetState, 'preset "' + preset.name + '"');
+    PROTECTED_STATE_KEYS.forEach(function (k) { delete clean[k]; });
+    preset.state = clean;
+    setSavedPresets(list);
+    emit('preset:updated', { presetId: id, presetName: preset.name });
+    return clean;
+  }
+
+  // Move a user preset up (delta -1) or down (+1) in the saved order. Returns false when it cannot move.
+  function movePreset(id, delta) {
+    var list = getSavedPresets();
+    var from = list.findIndex(function (p) { return p.id === id; });
+    var to = from + delta;
+    if (from === -1 || to < 0 || to >= list.length) return false;
+    var moved = list.splice(from, 1)[0];
+    list.splice(to, 0, moved);
+    setSavedPresets(list);
+    fillPresetSelect();
+    emit('preset:updated', { presetId: id, presetName: moved.name });
+    return true;
+  }
+
+  // Keys a preset sets to something other than getDefaultStateSnapshot(): [{ key, value, defaultValue }].
+  function getPresetOverrides(presetState) {
+    var defaults = getDefaultStateSnapshot();
+    return Object.keys(presetState || {}).filter(function (k) {
+      return defaults.hasOwnProperty(k) && presetState[k] !== defaults[k];
+    }).map(function (k) {
+      return { key: k, value: presetState[k], defaultValue: defaults[k] };
     });
   }
 
-  // Trap focus inside container on Tab/Shift+Tab. Call on panel or modal mount; remove listener on unmount.
-  function trapFocus(container) {
-    if (!container) return function () {};
-    function handleKeyDown(e) {
-      if (e.key !== 'Tab') return;
-      var focusable = getFocusableElements(container);
-      if (focusable.length === 0) return;
-      var first = focusable[0];
-      var last = focusable[focusable.length - 1];
-      if (e.shiftKey) {
-        if (document.activeElement === first) { e.preventDefault(); last.focus(); }
-      } else {
-        if (document.activeElement === last) { e.preventDefault(); first.focus(); }
-      }
-    }
-    container.addEventListener('keydown', handleKeyDown);
-    return function () { container.removeEventListener('keydown', handleKeyDown); };
+  // --- Preset packs: several named presets plus metadata in one versioned JSON file ---
+  // Why a pack cannot be imported: '' when it can, else 'invalid' (not a pack) or 'unsupported-version' (made by a newer widget).
+  function checkPresetPack(pack) {
+    if (!pack || typeof pack !== 'object' || pack.format !== PRESET_PACK_FORMAT || !Array.isArray(pack.presets)) return 'invalid';
+    if (typeof pack.packVersion !== 'number' || pack.packVersion > PRESET_PACK_VERSION) return 'unsupported-version';
+    return '';
   }
 
-  // Show keyboard shortcuts help modal; close on Escape or backdrop click.
-  function showKeyboardShortcuts() {
-    var existing = document.getElementById('oa-shortcuts-modal');
-    if (existing) { existing.remove(); return; }
-    var wrap = document.createElement('div');
-    wrap.id = 'oa-shortcuts-modal';
-    wrap.className = 'oa-reading-view';
-    wrap.setAttribute('role', 'dialog');
-    wrap.setAttribute('aria-label', 'Keyboard shortcuts');
-    var rows = KEYBOARD_SHORTCUTS.map(function (s) {
-      return '<tr><td class="oa-shortcuts-keys">' + escapeHtml(s.keys) + '</td><td>' + escapeHtml(s.action) + '</td></tr>';
-    }).join('');
-    wrap.innerHTML = '<h4>Keyboard shortcuts</h4><button type="button" class="oa-reading-view-close" aria-label="Close">×</button><table class="oa-shortcuts-table"><tbody>' + rows + '</tbody></table>';
-    function close() { wrap.remove(); }
+  // Build a pack from user presets (all, or options.ids; built-in and host ids are copied too). options: { ids, name, description }.
+  function exportPresetPack(options) {
+    options = options || {};
+    var saved = getSavedPresets();
+    var available = getAvailablePresets();
+    var ids = Array.isArray(options.ids) ? options.ids : saved.map(function (p) { return p.id; });
+    var presets = [];
+    ids.forEach(function (id) {
+      var p = saved.find(function (x) { return x.id === id; }) || (available[id] && { id: id, name: available[id].name, state: available[id].state });
+      if (p) presets.push({ id: p.id, name: p.name, state: { ...p.state } });
+    });
+    return {
+      format: PRESET_PACK_FORMAT,
+      packVersion: PRESET_PACK_VERSION,
+      schemaVersion: STATE_SCHEMA_VERSION,
+      name: typeof options.name === 'string' && options.name.trim() ? options.name.trim() : t('presetPackDefaultName'),
+      description: typeof options.description === 'string' ? options.description : '',
+      createdAt: new Date().toISOString(),
+      generator: 'OpenAccessible ' + WIDGET_VERSION,
+      presets: presets,
+    };
+  }
+
+  // Download exportPresetPack() as a JSON file. Returns how many presets it contains.
+  function downloadPresetPack(options) {
+    var pack = exportPresetPack(options);
+    var blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    var a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'openaccessible-presets.json';
+    a.click();
+    URL.revokeObjectURL(a.href);
+    return pack.presets.length;
+  }
+
+  // Add a pack's presets to the user presets. options.mode: 'merge' (default) keeps existing presets, 'replace' drops them first.
+  // options.onConflict (merge, same id or name): 'overwrite' (default) replaces the existing preset, 'skip' keeps it, 'keep-both' adds a renamed copy.
+  // Preset states are migrated and validated; presets beyond maxPresets are skipped. Returns { ok, error?, added, updated, skipped, rejected }.
+  function importPresetPack(pack, options) {
+    options = options || {};
+    var mode = options.mode === 'replace' ? 'replace' : 'merge';
+    var onConflict = ['skip', 'keep-both'].indexOf(options.onConflict) >= 0 ? options.onConflict : 'overwrite';
+    var result = { ok: false, added: [], updated: [], skipped: [], rejected: [] };
+    var error = checkPresetPack(pack);
+    if (error) {
+      result.error = error;
+      return result;
+    }
+    var list = mode === 'replace' ? [] : getSavedPresets();
+    var available = getAvailablePresets();
+    function sameName(a, b) { return a.trim().toLowerCase() === b.trim().toLowerCase(); }
+    pack.presets.forEach(function (p) {
+      var name = p && typeof p.name === 'string' ? p.name.trim() : '';
+      if (!name || !p.state || typeof p.state !== 'object' || Array.isArray(p.state)) {
+        result.rejected.push({ id: p && p.id, name: name, reason: 'invalid' });
+        return;
+      }
+      var presetState = validateState(migrateState(p.state, p.schemaVersion || pack.schemaVersion), 'preset "' + name + '"');
+      PROTECTED_STATE_KEYS.forEach(function (k) { delete presetState[k]; });
+      var existing = list.find(function (x) { return p.id && x.id === p.id; }) || list.find(function (x) { return sameName(x.name, name); });
+      if (existing && onConflict === 'skip') {
+        result.skipped.push({ id: existing.id, name: name, reason: 'conflict' });
+        return;
+      }
+      if (existing && onConflict === 'overwrite') {
+        existing.name = name;
+        existing.state = presetState;
+        result.updated.push({ id: existing.id, name: name });
+        return;
+      }
+      if (list.length >= maxPresets) {
+        result.skipped.push({ id: p.id, name: name, reason: 'limit' });
+        return;
+      }
+      // Keep the pack's id unless it is taken or would be shadowed by a built-in or host preset.
+      var id = typeof p.id === 'string' && /^[\w-]+$/.test(p.id) && !available[p.id] && !list.some(function (x) { return x.id === p.id; }) ? p.id : newPresetId(list);
+      if (list.some(function (x) { return sameName(x.name, name); })) name = t('presetCopyName', { name: name });
+      list.push({ id: id, name: name, state: presetState });
+      result.added.push({ id: id, name: name });
+    });
+    setSavedPresets(list);
+    fillPresetSelect();
+    result.ok = true;
+    emit('preset:imported', { packName: typeof pack.name === 'string' ? pack.name : '', mode: mode, added: result.added, updated: result.updated, skipped: result.skipped, rejected: result.rejected });
+    return result;
+  }
+
+  // Display name of a built-in (localized) or host preset.
+  function getPresetLabel(id) {
+    var keys = { 'high-contrast': 'highContrastPreset', reading: 'readingPreset', minimal: 'minimalPreset', focus: 'focusPreset' };
+    if (hostPresets[id]) return hostPresets[id].name;
+    return keys[id] ? t(keys[id]) : (BUILTIN_PRESETS[id] ? BUILTIN_PRESETS[id].name : id);
+  }
+
+  // Built-in (unless hideBuiltinPresets) and host presets offered on this site: id -> { name, state, host }. Host ids override built-in ones.
+  function getAvailablePresets() {
+    var out = {};
+    if (!hideBuiltinPresets) BUILTIN_PRESET_IDS.forEach(function (id) { out[id] = { name: getPresetLabel(id), state: BUILTIN_PRESETS[id].state, host: false }; });
+    Object.keys(hostPresets).forEach(function (id) { out[id] = { name: hostPresets[id].name, state: hostPresets[id].state, host: true }; });
+    return out;
+  }
+
+  // --- Host policy: locked keys keep a pinned value, hidden keys also lose their panel control ---
+  // Read presets, hideBuiltinPresets, lockedKeys and hiddenKeys from normalized init options; unknown keys and invalid values are warned about and skipped.
+  function configureHostPolicy(normalized) {
+    hostPresets = {};
+    (normalized.presets || []).forEach(function (p) {
+      var clean = validateState(migrateState(p.state, p.schemaVersion), 'host preset "' + p.id + '"');
+      PROTECTED_STATE_KEYS.forEach(function (k) { delete clean[k]; });
+      hostPresets[p.id] = { name: typeof p.name === 'string' && p.name ? p.name : p.id, state: clean };
+    });
+    hideBuiltinPresets = !!normalized.hideBuiltinPresets;
+    lockedKeys = {};
+    hiddenKeys = [];
+    function usable(k) {
+      if (STATE_SCHEMA.hasOwnProperty(k) && PROTECTED_STATE_KEYS.indexOf(k) === -1) return true;
+      console.warn('OpenAccessible: cannot lock or hide unknown setting "' + k + '".');
+      return false;
+    }
+    (normalized.hiddenKeys || []).forEach(function (k) {
+      if (!usable(k)) return;
+      hiddenKeys.push(k);
+      lockedKeys[k] = defaultState[k];
+    });
+    Object.keys(normalized.lockedKeys || {}).forEach(function (k) {
+      if (!usable(k)) return;
+      var value = normalized.lockedKeys[k];
+      var res = value === undefined ? { ok: false } : coerceStateValue(k, value);
+      if (value !== undefined && !res.ok) console.warn('OpenAccessible: invalid locked value for ' + k + '; using default ' + JSON.stringify(defaultState[k]) + '.');
+      lockedKeys[k] = res.ok ? res.value : defaultState[k];
+    });
+  }
+
+  // Force locked (and hidden) keys back to their pinned values; runs on every applyToDocument.
+  function enforceKeyLocks() {
+    Object.keys(lockedKeys).forEach(function (k) { state[k] = lockedKeys[k]; });
+  }
+
+  // Remove hidden controls (whole sections when none of their controls remain) and disable locked ones in the panel.
+  function applyPanelKeyPolicy() {
+    if (!$panel) return;
+    $panel.querySelectorAll('.oa-section').forEach(function (section) {
+      var controls = section.querySelectorAll('[data-oa-opt]');
+      var hiddenCount = 0;
+      controls.forEach(function (el) {
+        var key = el.getAttribute('data-oa-opt');
+        if (hiddenKeys.indexOf(key) !== -1) {
+          hiddenCount++;
+          (el.closest('.oa-opt') || el).remove();
+          section.querySelectorAll('[data-oa-opt-hint="' + key + '"]').forEach(function (hint) { hint.remove(); });
+        } else if (lockedKeys.hasOwnProperty(key)) {
+          el.disabled = true;
+          el.setAttribute('title', t('lockedBySite'));
+          var row = el.closest('.oa-opt');
+          if (row) row.classList.add('oa-opt-locked');
+        }
+      });
+      if (controls.length && hiddenCount === controls.length) section.remove();
+    });
+    if (hideBuiltinPresets) {
+      ['[data-oa-preset-spacing]', '[data-oa-preset-contrast]'].forEach(function (sel) {
+        var btn = $panel.querySelector(sel);
+        if (btn) btn.remove();
+      });
+    }
+  }
+
+  // Rebuild the options of the panel preset select: available built-in/host presets, then saved ones (the placeholder stays).
+  function fillPresetSelect() {
+    var presetSelect = $panel && $panel.querySelector('[data-oa-preset-select]');
+    if (!presetSelect) return;
+    var opts = presetSelect.querySelectorAll('option');
+    for (var i = opts.length - 1; i >= 1; i--) opts[i].remove();
+    var available = getAvailablePresets();
+    Object.keys(available).forEach(function (id) {
+      var o = document.createElement('option');
+      o.value = id;
+      o.textContent = available[id].name;
+      presetSelect.appendChild(o);
+    });
+    getSavedPresets().forEach(function (p) {
+      var o = document.createElement('option');
+      o.value = p.id;
+      o.textContent = p.name;
+      presetSelect.appendChild(o);
+    });
+  }
+
+  // --- Cross-tab sync: other tabs write STORAGE_KEY / PRESETS_STORAGE_KEY; the storage event only fires in the tabs that did not write ---
+  let storageSyncBound = false;
+
+  // Listen for preference and preset changes made in other tabs (once per page).
+  function watchStorageSync() {
+    if (storageSyncBound) return;
+    storageSyncBound = true;
+    global.addEventListener('storage', onStorageSync);
+  }
+
+  // Re-apply state or refresh presets after another tab changed storage; never writes back, so tabs cannot ping-pong.
+  function onStorageSync(e) {
+    if (state.guestMode) return;
+    try { if (e.storageArea && e.storageArea !== global.localStorage) return; } catch (_) { return; }
+    if (activeProfile && e.key === getProfileStorageKey(activeProfile.id)) {
+      // Another tab in this section switched scope (created or removed the profile) or changed its settings.
+      profileScope = e.newValue == null ? 'global' : 'section';
+      syncProfileScopeControl();
+      var raw = e.newValue;
+      if (raw == null) try { raw = global.localStorage.getItem(STORAGE_KEY); } catch (_) {}
+      applyRemoteState(raw);
+    } else if (e.key === getActiveStorageKey() || e.key === null) applyRemoteState(e.key === null ? null : e.newValue);
+    if (e.key === PRESETS_STORAGE_KEY || e.key === null) fillPresetSelect();
+  }
+
+  // Replace state with another tab's saved preferences (null = cleared -> defaults), then apply, re-sync the panel and emit change.
+  function applyRemoteState(raw) {
+    var parsed = null;
+    try { parsed = raw ? JSON.parse(raw) : null; } catch (_) { return; }
+    var next = { ...defaultState, ...normalizeStoredState(parsed, 'another tab'), guestMode: state.guestMode, lastPresetName: state.lastPresetName };
+    var changed = Object.keys(next).some(function (k) { return next[k] !== state[k]; });
+    userTouchedKeys = readUserKeys(parsed);
+    if (!changed) return;
+    state = next;
+    sharedValues = {};
+    applyToDocument();
+    if ($panel) syncPanelFromState();
+    updateToolbarPosition();
+    ensureVoiceNavigation();
+    emit('change', { ...state, source: 'remote-tab' });
+  }
+
+  // --- Scheduled presets: time ranges (optionally weekdays) -> preset; a manual change overrides until the next boundary ---
+  // 'HH:MM' (24h) -> minutes after midnight, or -1 when malformed.
+  function parseScheduleTime(value) {
+    var m = /^(\d{1,2}):(\d{2})$/.exec(String(value == null ? '' : value).trim());
+    if (!m || +m[1] > 23 || +m[2] > 59) return -1;
+    return +m[1] * 60 + +m[2];
+  }
+
+  // Minutes after midnight -> 'HH:MM'.
+  function formatScheduleTime(minutes) {
+    return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+  }
+
+  // Validate one rule { preset, from, to, days? }; days are 0-6 (Sunday = 0) or 'sun'..'sat', omitted = every day. Returns the clean rule or null (with a warning).
+  function normalizeScheduleRule(rule, source) {
+    var names = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    var ok = !!rule && typeof rule === 'object' && typeof rule.preset === 'string' && rule.preset !== '' && parseScheduleTime(rule.from) >= 0 && parseScheduleTime(rule.to) >= 0;
+    var days = null;
+    if (ok && rule.days != null) {
+      days = (Array.isArray(rule.days) ? rule.days : [rule.days]).map(function (d) {
+        return typeof d === 'number' ? d : names.indexOf(String(d).trim().toLowerCase().slice(0, 3));
+      });
+      ok = days.length > 0 && days.every(function (d) { return d >= 0 && d <= 6 && Math.floor(d) === d; });
+    }
+    if (!ok) {
+      console.warn('OpenAccessible: ignoring invalid schedule entry ' + JSON.stringify(rule) + ' from ' + source + '.');
+      return null;
+    }
+    var out = { preset: rule.preset, from: formatScheduleTime(parseScheduleTime(rule.from)), to: formatScheduleTime(parseScheduleTime(rule.to)) };
+    if (days && days.length < 7) out.days = days.filter(function (d, i) { return days.indexOf(d) === i; }).sort();
+    return out;
+  }
+
+  // Stored schedule record { rules?, activeKey, baseState, overrideUntil }; rules missing = OpenAccessibleConfig.schedule applies. baseState is migrated.
+  function readSchedule() {
+    if (state.guestMode) return { ...scheduleMemory };
+    try {
+      var data = JSON.parse(global.localStorage.getItem(SCHEDULE_STORAGE_KEY) || 'null');
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        if (data.baseState) data.baseState = migrateState(data.baseState, data.schemaVersion);
+        return data;
+      }
+    } catch (_) {}
+    return {};
+  }
+
+  // Save the schedule record (memory only in guestMode); the saved baseState is tagged with STATE_SCHEMA_VERSION.
+  function writeSchedule(record) {
+    record.schemaVersion = STATE_SCHEMA_VERSION;
+    scheduleMemory = record;
+    if (state.guestMode) return;
+    try { global.localStorage.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify(record)); } catch (_) {}
+  }
+
+  // Rules in effect: the user's saved schedule, else the host's config schedule.
+  function getSchedule() {
+    var record = readSchedule();
+    if (!Array.isArray(record.rules)) return configSchedule.map(function (r) { return { ...r }; });
+    return record.rules.map(function (r) { return normalizeScheduleRule(r, 'saved schedule'); }).filter(Boolean);
+  }
+
+  // Occurrence of a rule that starts on the given day: { start, end } Dates, or null when the rule skips that weekday.
+  // Overnight ranges (from > to) end the next day; from === to covers 24 hours.
+  function scheduleOccurrence(rule, day) {
+    var from = parseScheduleTime(rule.from);
+    var to = parseScheduleTime(rule.to);
+    var start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(from / 60), from % 60);
+    if (rule.days && rule.days.indexOf(start.getDay()) === -1) return null;
+    var end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + (to <= from ? 1 : 0), Math.floor(to / 60), to % 60);
+    return { start: start, end: end };
+  }
+
+  // First rule whose occurrence (started today or yesterday) covers now: { rule, start, end, key } or null.
+  function findScheduleOccurrence(rules, now) {
+    for (var i = 0; i < rules.length; i++) {
+      for (var back = 0; back <= 1; back++) {
+        var occ = scheduleOccurrence(rules[i], new Date(now.getFullYear(), now.getMonth(), now.getDate() - back));
+        if (occ && now >= occ.start && now < occ.end) return { rule: rules[i], start: occ.start, end: occ.end, key: rules[i].preset + '@' + occ.start.getTime() };
+      }
+    }
+    return null;
+  }
+
+  // Earliest rule start or end after now (within a week), or null when there are no rules.
+  function nextScheduleBoundary(rules, now) {
+    var best = null;
+    rules.forEach(function (rule) {
+      for (var d = -1; d <= 7; d++) {
+        var occ = scheduleOccurrence(rule, new Date(now.getFullYear(), now.getMonth(), now.getDate() + d));
+        if (!occ) continue;
+        [occ.start, occ.end].forEach(function (time) { if (time > now && (!best || time < best)) best = time; });
+      }
+    });
+    return best;
+  }
+
+  // Apply the schedule: when the covering occurrence changed, restore the settings saved before the previous one, then save the current
+  // settings and apply the new rule's preset. Does nothing while a manual override lasts. Emits schedule and returns true on a transition.
+  function evaluateSchedule() {
+    var rules = getSchedule();
+    var record = readSchedule();
+    var now = new Date();
+    if (record.overrideUntil && now.getTime() < record.overrideUntil) return false;
+    var occ = rules.length ? findScheduleOccurrence(rules, now) : null;
+    var key = occ ? occ.key : '';
+    if (key === (record.activeKey || '') && !record.overrideUntil) return false;
+    delete record.overrideUntil;
+    if (key !== (record.activeKey || '')) {
+      scheduleApplying = true;
+      try {
+        if (record.activeKey && record.baseState) updateState(record.baseState, { replace: true });
+        record.baseState = null;
+        if (occ) {
+          if (!getAvailablePresets()[occ.rule.preset] && !getSavedPresets().some(function (p) { return p.id === occ.rule.preset || p.name === occ.rule.preset; })) {
+            console.warn('OpenAccessible: scheduled preset "' + occ.rule.preset + '" does not exist.');
+          } else {
+            record.baseState = getUserState();
+            PROTECTED_STATE_KEYS.forEach(function (k) { delete record.baseState[k]; });
+            applyPreset(occ.rule.preset);
+          }
+        }
+      } finally {
+        scheduleApplying = false;
+      }
+      record.activeKey = key;
+      writeSchedule(record);
+      emit('schedule', getScheduleStatus());
+      return true;
+    }
+    writeSchedule(record);
+    return false;
+  }
+
+  // A user change while a schedule exists holds the current settings until the next boundary.
+  function noteScheduleOverride() {
+    if (scheduleApplying) return;
+    var rules = getSchedule();
+    var boundary = rules.length ? nextScheduleBoundary(rules, new Date()) : null;
+    if (!boundary) return;
+    var record = readSchedule();
+    var overridden = !!record.overrideUntil;
+    record.overrideUntil = boundary.getTime();
+    writeSchedule(record);
+    if (!overridden) emit('schedule', getScheduleStatus());
+  }
+
+  // End a manual override now and re-apply the preset scheduled for this time (if any). Returns true when a preset was applied.
+  function resumeSchedule() {
+    var record = readSchedule();
+    delete record.overrideUntil;
+    writeSchedule(record);
+    var occ = findScheduleOccurrence(getSchedule(), new Date());
+    if (occ && record.activeKey === occ.key) {
+      scheduleApplying = true;
+      try { applyPreset(occ.rule.preset); } finally { scheduleApplying = false; }
+    } else if (evaluateSchedule()) {
+      return !!occ;
+    }
+    emit('schedule', getScheduleStatus());
+    return !!occ;
+  }
+
+  // Save the user's schedule (invalid rules are dropped with a warning; null = back to the host's config schedule), then apply it. Returns the saved rules.
+  function setSchedule(rules) {
+    var record = readSchedule();
+    if (rules == null) delete record.rules;
+    else record.rules = (Array.isArray(rules) ? rules : []).map(function (r) { return normalizeScheduleRule(r, 'setSchedule'); }).filter(Boolean);
+    delete record.overrideUntil;
+    writeSchedule(record);
+    syncScheduleTimer();
+    evaluateSchedule();
+    return getSchedule();
+  }
+
+  // Where the schedule stands now: { presetId, presetName, from, to, until, overridden, overrideUntil, nextChange } (times as ISO strings or null).
+  function getScheduleStatus() {
+    var rules = getSchedule();
+    var now = new Date();
+    var record = readSchedule();
+    var occ = rules.length ? findScheduleOccurrence(rules, now) : null;
+    var boundary = rules.length ? nextScheduleBoundary(rules, now) : null;
+    var overridden = !!record.overrideUntil && now.getTime() < record.overrideUntil;
+    var saved = occ && getSavedPresets().find(function (p) { return p.id === occ.rule.preset || p.name === occ.rule.preset; });
+    return {
+      presetId: occ ? occ.rule.preset : null,
+      presetName: occ ? (saved ? saved.name : getPresetLabel(occ.rule.preset)) : null,
+      from: occ ? occ.rule.from : null,
+      to: occ ? occ.rule.to : null,
+      until: occ ? occ.end.toISOString() : null,
+      overridden: overridden,
+      overrideUntil: overridden ? new Date(record.overrideUntil).toISOString() : null,
+      nextChange: boundary ? boundary.toISOString() : null,
+    };
+  }
+
+  // Run evaluateSchedule every SCHEDULE_CHECK_MS (and when the tab becomes visible) while there are rules; stop when there are none.
+  function syncScheduleTimer() {
+    var hasRules = getSchedule().length > 0;
+    if (hasRules && !scheduleTimer) {
+      scheduleTimer = global.setInterval(evaluateSchedule, SCHEDULE_CHECK_MS);
+      document.addEventListener('visibilitychange', onScheduleVisibility);
+    } else if (!hasRules && scheduleTimer) {
+      global.clearInterval(scheduleTimer);
+      scheduleTimer = null;
+      document.removeEventListener('visibilitychange', onScheduleVisibility);
+    }
+  }
+
+  // Timers are throttled in background tabs; catch up as soon as the page is shown again.
+  function onScheduleVisibility() {
+    if (document.visibilityState === 'visible') evaluateSchedule();
+  }
+
+  // Fetch with timeout and optional retries. Returns promise that resolves to response.json() or rejects.
+  function fetchWithTimeout(url, options, timeoutMs, retries) {
+    timeoutMs = timeoutMs || API_TIMEOUT_MS;
+    retries = retries != null ? retries : API_RETRY_COUNT;
+    function attempt(n) {
+      var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      var timeoutId = null;
+      if (controller) {
+        timeoutId = global.setTimeout(function () { controller.abort(); }, timeoutMs);
+        options = options || {};
+        options.signal = controller.signal;
+      }
+      return fetch(url, options)
+        .then(function (r) {
+          if (timeoutId) global.clearTimeout(timeoutId);
+          return r;
+        })
+        .catch(function (err) {
+          if (timeoutId) global.clearTimeout(timeoutId);
+          if (n < retries) return attempt(n + 1);
+          return Promise.reject(err);
+        });
+    }
+    return attempt(0).then(function (r) { return r.json ? r.json() : r.text(); });
+  }
+
+// Dispatch a custom event 'openaccessible:' + name for host page integration.
+  function emit(name, detail) {
+    try {
+      global.dispatchEvent(new CustomEvent('openaccessible:' + name, { detail }));
+    } catch (_) {}
+  }
+
+  // Return focusable elements within container (buttons, links, inputs, selects, textareas, [tabindex>=0]).
+  function getFocusableElements(container) {
+    if (!container || !container.querySelectorAll) return [];
+    var selector = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    return Array.prototype.filter.call(container.querySelectorAll(selector), function (el) {
+      return el.offsetParent !== null && (el.offsetWidth > 0 || el.offsetHeight > 0);
+    });
+  }
+
+  // Trap focus inside container on Tab/Shift+Tab. Call on panel or modal mount; remove listener on unmount.
+  function trapFocus(container) {
+    if (!container) return function () {};
+    function handleKeyDown(e) {
+      if (e.key !== 'Tab') return;
+      var focusable = getFocusableElements(container);
+      if (focusable.length === 0) return;
+      var first = focusable[0];
+      var last = focusable[focusable.length - 1];
+      if (e.shiftKey) {
+        if (document.activeElement === first) { e.preventDefault(); last.focus(); }
+      } else {
+        if (document.activeElement === last) { e.preventDefault(); first.focus(); }
+      }
+    }
+    container.addEventListener('keydown', handleKeyDown);
+    return function () { container.removeEventListener('keydown', handleKeyDown); };
+  }
+
+  // Show keyboard shortcuts help modal; close on Escape or backdrop click.
+  function showKeyboardShortcuts() {
+    var existing = document.getElementById('oa-shortcuts-modal');
+    if (existing) { existing.remove(); return; }
+    var wrap = document.createElement('div');
+    wrap.id = 'oa-shortcuts-modal';
+    wrap.className = 'oa-reading-view';
+    wrap.setAttribute('role', 'dialog');
+    wrap.setAttribute('aria-label', t('keyboardShortcutsTitle'));
+    wrap.setAttribute('lang', localeCode);
+    wrap.setAttribute('dir', widgetDir);
+    var rows = KEYBOARD_SHORTCUTS.map(function (s) {
+      return '<tr><td class="oa-shortcuts-keys">' + escapeHtml(s.keys) + '</td><td>' + escapeHtml(s.key ? t(s.key) : s.action) + '</td></tr>';
+    }).join('');
+    wrap.innerHTML = '<h4>' + tHtml('keyboardShortcutsTitle') + '</h4><button type="button" class="oa-reading-view-close" aria-label="' + tHtml('close') + '">×</button><table class="oa-shortcuts-table"><tbody>' + rows + '</tbody></table>';
+    function close() { wrap.remove(); }
     wrap.querySelector('.oa-reading-view-close').addEventListener('click', close);
     wrap.addEventListener('keydown', function (e) { if (e.key === 'Escape') close(); });
     document.body.appendChild(wrap);
@@ -1407,8 +3096,10 @@ contentWidth: 'full',          // full | narrow | narrower
     wrap.id = 'oa-about-modal';
     wrap.className = 'oa-reading-view';
     wrap.setAttribute('role', 'dialog');
-    wrap.setAttribute('aria-label', 'About Open Accessible');
-    wrap.innerHTML = '<h4>About</h4><button type="button" class="oa-reading-view-close" aria-label="Close">×</button><p>Open Accessible widget v' + WIDGET_VERSION + '.</p><p>Accessibility settings for WCAG 2.2 AA: color, contrast, TTS, translation, and more.</p><p><a href="https://github.com/OpenAccessible/OpenAccessible" target="_blank" rel="noopener noreferrer">GitHub</a></p>';
+    wrap.setAttribute('aria-label', t('aboutLabel'));
+    wrap.setAttribute('lang', localeCode);
+    wrap.setAttribute('dir', widgetDir);
+    wrap.innerHTML = '<h4>' + tHtml('aboutTitle') + '</h4><button type="button" class="oa-reading-view-close" aria-label="' + tHtml('close') + '">×</button><p>' + tHtml('aboutVersion') + ' v' + WIDGET_VERSION + '.</p><p>' + tHtml('aboutDescription') + '</p><p><a href="https://github.com/OpenAccessible/OpenAccessible" target="_blank" rel="noopener noreferrer">GitHub</a></p>';
     function close() { wrap.remove(); }
     wrap.querySelector('.oa-reading-view-close').addEventListener('click', close);
     wrap.addEventListener('keydown', function (e) { if (e.key === 'Escape') close(); });
@@ -1417,6 +3108,368 @@ contentWidth: 'full',          // full | narrow | narrower
     if (btn) btn.focus();
   }
 
+  // --- Preset manager dialog: built-in and saved presets with their overrides; create, rename, duplicate, edit keys, reorder, delete ---
+  // State keys whose panel label is a string with another name (other keys use the string named like the key).
+  const STATE_KEY_LABELS = {
+    colorFilter: 'filter', colorCorrectionStrength: 'correctionStrength', fontSize: 'fontSizePercent', cursorSize: 'cursor', ttsEnabled: 'ttsEnable',
+    ttsMuted: 'mute', ttsRate: 'rate', ttsPitch: 'pitch', ttsVoice: 'voice', voiceNavigationEnabled: 'voiceNavigation', textAlign: 'textAlignment',
+    readingGuidePos: 'readingGuideHandle', dictionaryEnabled: 'dictionary', simplifiedWords: 'simplifyWords', translateTargetLang: 'translateTo', monospaceFont: 'monospace',
+  };
+
+  // Localized label of a state key for the manager (the key itself when no string exists).
+  function stateKeyLabel(key) {
+    return t(STATE_KEY_LABELS[key] || key);
+  }
+
+  // Display text for a preset value in the manager.
+  function formatPresetValue(value) {
+    if (value === true) return t('presetValueOn');
+    if (value === false) return t('presetValueOff');
+    if (value === null || value === '') return t('presetValueEmpty');
+    return String(value);
+  }
+
+  // HTML for one preset row; index makes element ids safe whatever the preset id is.
+  function renderPresetItem(preset, index, count, builtin, view) {
+    var ref = (builtin ? 'oa-pm-b' : 'oa-pm-s') + index;
+    var id = escapeAttr(preset.id);
+    var overrides = getPresetOverrides(preset.state);
+    var diff = overrides.length
+      ? tHtml('presetOverrides') + ' ' + overrides.map(function (o) {
+        return '<span title="' + escapeAttr(o.key) + '">' + escapeHtml(stateKeyLabel(o.key)) + '</span> ' + escapeHtml(formatPresetValue(o.value)) + ' <span class="oa-pm-default">(' + tHtml('presetDefaultValue', { value: formatPresetValue(o.defaultValue) }) + ')</span>';
+      }).join(', ')
+      : tHtml('presetNoOverrides');
+    function button(action, label, disabled) {
+      return '<button type="button" class="oa-btn-tts" data-oa-pm-action="' + action + '" data-oa-pm-id="' + id + '" aria-describedby="' + ref + '-name"' + (disabled ? ' disabled' : '') + '>' + escapeHtml(label) + '</button>';
+    }
+    var html = '<li class="oa-pm-item" data-oa-pm-item="' + id + '"><div class="oa-pm-head"><span class="oa-pm-name" id="' + ref + '-name">' + escapeHtml(preset.name) + '</span>' +
+      (builtin ? '<span class="oa-pm-badge">' + tHtml(preset.host ? 'hostPresetBadge' : 'builtinBadge') + '</span>' : '') + '</div><p class="oa-pm-diff">' + diff + '</p><div class="oa-pm-actions">' +
+      button('apply', t('presetApply')) + button('duplicate', t('presetDuplicate'));
+    if (!builtin) {
+      html += button('rename', t('presetRename')) + button('edit', t('presetEdit')) +
+        button('up', t('presetMoveUp'), index === 0) + button('down', t('presetMoveDown'), index === count - 1) +
+        button('delete', t(view.confirmDelete === preset.id ? 'presetConfirmDelete' : 'delete'));
+    }
+    html += '</div>';
+    if (!builtin && view.renaming === preset.id) {
+      html += '<form class="oa-pm-rename" data-oa-pm-form="rename" data-oa-pm-id="' + id + '"><label for="' + ref + '-rename">' + tHtml('presetRename') + '</label> ' +
+        '<input type="text" id="' + ref + '-rename" data-oa-pm-rename-input maxlength="60" required value="' + escapeAttr(preset.name) + '"> ' +
+        '<button type="submit" class="oa-btn-tts">' + tHtml('save') + '</button> <button type="button" class="oa-btn-tts" data-oa-pm-action="cancel" data-oa-pm-id="' + id + '">' + tHtml('cancel') + '</button></form>';
+    }
+    if (!builtin && view.editing === preset.id) html += renderPresetEditor(preset, ref);
+    return html + '</li>';
+  }
+
+  // HTML for the per-key editor of a user preset: an override checkbox and a typed control for every STATE_SCHEMA key.
+  function renderPresetEditor(preset, ref) {
+    var rows = Object.keys(STATE_SCHEMA).filter(function (k) { return PROTECTED_STATE_KEYS.indexOf(k) === -1; }).map(function (k) {
+      var rule = STATE_SCHEMA[k];
+      var has = preset.state.hasOwnProperty(k);
+      var value = has ? preset.state[k] : defaultState[k];
+      var ctrlId = ref + '-val-' + k;
+      var attrs = ' id="' + ctrlId + '" data-oa-pm-val="' + k + '" aria-label="' + escapeAttr(stateKeyLabel(k)) + '"';
+      var control;
+      if (rule.type === 'boolean') {
+        control = '<select' + attrs + '><option value="true"' + (value ? ' selected' : '') + '>' + tHtml('presetValueOn') + '</option><option value="false"' + (value ? '' : ' selected') + '>' + tHtml('presetValueOff') + '</option></select>';
+      } else if (rule.values) {
+        control = '<select' + attrs + '>' + rule.values.map(function (v) {
+          return '<option value="' + escapeAttr(v) + '"' + (v === value ? ' selected' : '') + '>' + escapeHtml(v === '' ? t('presetValueEmpty') : v) + '</option>';
+        }).join('') + '</select>';
+      } else if (rule.type === 'number') {
+        control = '<input type="number" step="any"' + (rule.min != null ? ' min="' + rule.min + '"' : '') + (rule.max != null ? ' max="' + rule.max + '"' : '') + ' value="' + escapeAttr(String(value)) + '"' + attrs + '>';
+      } else {
+        control = '<input type="text" value="' + escapeAttr(value == null ? '' : String(value)) + '"' + attrs + '>';
+      }
+      return '<div class="oa-pm-key"><input type="checkbox" id="' + ref + '-use-' + k + '" data-oa-pm-use="' + k + '"' + (has ? ' checked' : '') + '>' +
+        '<label for="' + ref + '-use-' + k + '" title="' + escapeAttr(k) + '">' + escapeHtml(stateKeyLabel(k)) + '</label>' + control + '</div>';
+    }).join('');
+    return '<form class="oa-pm-editor" data-oa-pm-form="edit" data-oa-pm-id="' + escapeAttr(preset.id) + '"><fieldset><legend>' + tHtml('presetEditorLegend', { name: preset.name }) + '</legend>' + rows + '</fieldset>' +
+      '<button type="submit" class="oa-btn-tts">' + tHtml('save') + '</button> <button type="button" class="oa-btn-tts" data-oa-pm-action="cancel" data-oa-pm-id="' + escapeAttr(preset.id) + '">' + tHtml('cancel') + '</button></form>';
+  }
+
+  // Pack export/import row, or the merge/replace choice for a pack that was just read (view.pendingPack).
+  function renderPresetPackControls(view, savedCount) {
+    var pack = view.pendingPack;
+    if (!pack) {
+      return '<div class="oa-pm-pack"><button type="button" class="oa-btn-tts" data-oa-pm-action="pack-export"' + (savedCount ? '' : ' disabled') + '>' + tHtml('presetPackExport') + '</button>' +
+        '<button type="button" class="oa-btn-tts" data-oa-pm-action="pack-import">' + tHtml('presetPackImport') + '</button>' +
+        '<input type="file" accept=".json,application/json" data-oa-pm-pack-file hidden></div>';
+    }
+    return '<div class="oa-pm-pack oa-pm-item" role="group" aria-labelledby="oa-pm-pack-title"><p class="oa-pm-head" id="oa-pm-pack-title">' + tHtml('presetPackSummary', { name: pack.name || t('presetPackDefaultName'), count: pack.presets.length }) + '</p>' +
+      (pack.description ? '<p class="oa-pm-note">' + escapeHtml(pack.description) + '</p>' : '') +
+      '<label for="oa-pm-pack-conflict">' + tHtml('presetPackConflictLabel') + '</label> <select id="oa-pm-pack-conflict" data-oa-pm-pack-conflict>' +
+      ['overwrite', 'skip', 'keep-both'].map(function (v) {
+        var key = { overwrite: 'presetPackOverwrite', skip: 'presetPackSkip', 'keep-both': 'presetPackKeepBoth' }[v];
+        return '<option value="' + v + '"' + (view.packConflict === v ? ' selected' : '') + '>' + tHtml(key) + '</option>';
+      }).join('') + '</select>' +
+      '<div class="oa-pm-actions"><button type="button" class="oa-btn-tts" data-oa-pm-action="pack-merge">' + tHtml('presetPackMerge') + '</button>' +
+      '<button type="button" class="oa-btn-tts" data-oa-pm-action="pack-replace">' + tHtml(view.confirmReplace ? 'presetPackConfirmReplace' : 'presetPackReplace') + '</button>' +
+      '<button type="button" class="oa-btn-tts" data-oa-pm-action="pack-cancel">' + tHtml('cancel') + '</button></div></div>';
+  }
+
+  // Short weekday name in the UI locale (0 = Sunday).
+  function formatWeekday(day) {
+    try { return new Date(2024, 0, 7 + day).toLocaleDateString(localeCode, { weekday: 'short' }); } catch (_) { return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][day]; }
+  }
+
+  // 'HH:MM' of an ISO time from getScheduleStatus().
+  function formatStatusTime(iso) {
+    var d = new Date(iso);
+    return formatScheduleTime(d.getHours() * 60 + d.getMinutes());
+  }
+
+  // Schedule section: current status, the rules with Remove buttons, and a form to add a rule.
+  function renderScheduleSection() {
+    var rules = getSchedule();
+    var status = getScheduleStatus();
+    var available = getAvailablePresets();
+    var saved = getSavedPresets();
+    function presetName(id) {
+      var p = saved.find(function (x) { return x.id === id || x.name === id; });
+      return p ? p.name : (available[id] ? available[id].name : id);
+    }
+    var statusText = status.overridden ? t('scheduleOverridden', { time: formatStatusTime(status.overrideUntil) })
+      : status.presetId ? t('scheduleActive', { name: status.presetName, time: formatStatusTime(status.until) })
+      : rules.length ? t('scheduleIdle') : t('scheduleEmpty');
+    var items = rules.map(function (r, i) {
+      var days = r.days ? r.days.map(formatWeekday).join(', ') : t('scheduleEveryDay');
+      return '<li class="oa-pm-item"><div class="oa-pm-head">' + escapeHtml(presetName(r.preset)) + '</div><p class="oa-pm-note">' + escapeHtml(r.from + '–' + r.to + ', ' + days) + '</p>' +
+        '<div class="oa-pm-actions"><button type="button" class="oa-btn-tts" data-oa-pm-action="schedule-remove" data-oa-pm-id="' + i + '" aria-label="' + escapeAttr(t('scheduleRemoveLabel', { name: presetName(r.preset), from: r.from, to: r.to })) + '">' + tHtml('scheduleRemove') + '</button></div></li>';
+    }).join('');
+    var options = Object.keys(available).map(function (id) { return { id: id, name: available[id].name }; }).concat(saved).map(function (p) {
+      return '<option value="' + escapeAttr(p.id) + '">' + escapeHtml(p.name) + '</option>';
+    }).join('');
+    var dayBoxes = [1, 2, 3, 4, 5, 6, 0].map(function (d) {
+      return '<label><input type="checkbox" data-oa-pm-day="' + d + '" checked> ' + escapeHtml(formatWeekday(d)) + '</label>';
+    }).join('');
+    return '<h5>' + tHtml('scheduleTitle') + '</h5><p class="oa-pm-note">' + escapeHtml(statusText) + '</p>' +
+      (status.overridden ? '<div class="oa-pm-actions"><button type="button" class="oa-btn-tts" data-oa-pm-action="schedule-resume">' + tHtml('scheduleResume') + '</button></div>' : '') +
+      (items ? '<ul class="oa-pm-list">' + items + '</ul>' : '') +
+      '<form class="oa-pm-schedule" data-oa-pm-form="schedule"><label for="oa-pm-schedule-preset">' + tHtml('schedulePresetLabel') + '</label><select id="oa-pm-schedule-preset" data-oa-pm-schedule-preset>' + options + '</select>' +
+      '<label for="oa-pm-schedule-from">' + tHtml('scheduleFrom') + '</label><input type="time" id="oa-pm-schedule-from" data-oa-pm-schedule-from value="19:00" required>' +
+      '<label for="oa-pm-schedule-to">' + tHtml('scheduleTo') + '</label><input type="time" id="oa-pm-schedule-to" data-oa-pm-schedule-to value="07:00" required>' +
+      '<fieldset><legend>' + tHtml('scheduleDays') + '</legend>' + dayBoxes + '</fieldset>' +
+      '<button type="submit" class="oa-btn-tts">' + tHtml('scheduleAdd') + '</button></form>';
+  }
+
+  // Full dialog HTML for the current view ({ renaming, editing, confirmDelete } preset ids, plus pendingPack while importing a pack).
+  function renderPresetManager(view) {
+    var saved = getSavedPresets();
+    var full = saved.length >= maxPresets;
+    var available = getAvailablePresets();
+    var builtinItems = Object.keys(available).map(function (id, i, all) {
+      return renderPresetItem({ id: id, name: available[id].name, state: available[id].state, host: available[id].host }, i, all.length, true, view);
+    }).join('');
+    var savedItems = saved.map(function (p, i) { return renderPresetItem(p, i, saved.length, false, view); }).join('');
+    return '<h4 id="oa-presets-title">' + tHtml('presetManagerTitle') + '</h4><button type="button" class="oa-reading-view-close" aria-label="' + tHtml('close') + '">×</button>' +
+      '<form class="oa-pm-create" data-oa-pm-form="create"><label for="oa-pm-new-name">' + tHtml('presetNameLabel') + '</label>' +
+      '<input type="text" id="oa-pm-new-name" data-oa-pm-new-name maxlength="60" placeholder="' + tHtml('presetDefaultName') + '"' + (full ? ' disabled' : '') + '>' +
+      '<button type="submit" class="oa-btn-tts"' + (full ? ' disabled' : '') + '>' + tHtml('saveCurrentPreset') + '</button></form>' +
+      (full ? '<p class="oa-pm-note">' + tHtml('presetLimitReached', { max: maxPresets }) + '</p>' : '') +
+      renderPresetPackControls(view, saved.length) +
+      '<h5>' + tHtml('savedPresets') + '</h5>' + (savedItems ? '<ul class="oa-pm-list">' + savedItems + '</ul>' : '<p class="oa-pm-note">' + tHtml('noSavedPresets') + '</p>') +
+      (builtinItems ? '<h5>' + tHtml('builtinPresets') + '</h5><ul class="oa-pm-list">' + builtinItems + '</ul>' : '') +
+      renderScheduleSection() +
+      '<p class="oa-pm-status" role="status" aria-live="polite"></p>';
+  }
+
+  // Open the preset manager dialog (or close it when open). Focus is trapped inside and returns to the opener on close.
+  function showPresetManager() {
+    var existing = document.getElementById('oa-presets-modal');
+    if (existing) { existing.remove(); return; }
+    var wrap = document.createElement('div');
+    wrap.id = 'oa-presets-modal';
+    wrap.className = 'oa-reading-view oa-preset-manager';
+    wrap.setAttribute('role', 'dialog');
+    wrap.setAttribute('aria-modal', 'true');
+    wrap.setAttribute('aria-labelledby', 'oa-presets-title');
+    wrap.setAttribute('lang', localeCode);
+    wrap.setAttribute('dir', widgetDir);
+    var opener = document.activeElement;
+    var releaseFocus = trapFocus(wrap);
+    var view = { renaming: null, editing: null, confirmDelete: null, pendingPack: null, packConflict: 'overwrite', confirmReplace: false };
+    function nameOf(id) {
+      var p = getSavedPresets().find(function (x) { return x.id === id; });
+      return p ? p.name : getPresetLabel(id);
+    }
+    function control(action, id) {
+      return Array.prototype.find.call(wrap.querySelectorAll('[data-oa-pm-action="' + action + '"]'), function (el) { return el.getAttribute('data-oa-pm-id') === id; });
+    }
+    // Re-render, then focus the requested element (or the close button) and announce status.
+    function render(focusEl, status) {
+      wrap.innerHTML = renderPresetManager(view);
+      wrap.querySelector('.oa-reading-view-close').addEventListener('click', close);
+      var target = typeof focusEl === 'function' ? focusEl() : focusEl;
+      if (!target || target.disabled) target = wrap.querySelector('.oa-reading-view-close');
+      target.focus();
+      if (status) wrap.querySelector('.oa-pm-status').textContent = status;
+    }
+    function close() {
+      releaseFocus();
+      wrap.remove();
+      if (opener && opener.focus && document.contains(opener)) opener.focus();
+    }
+    wrap.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-oa-pm-action]');
+      if (!btn || btn.disabled) return;
+      var action = btn.getAttribute('data-oa-pm-action');
+      var id = btn.getAttribute('data-oa-pm-id');
+      if (action !== 'delete') view.confirmDelete = null;
+      if (action !== 'pack-replace') view.confirmReplace = false;
+      if (action === 'pack-export') {
+        var exported = downloadPresetPack();
+        render(function () { return control('pack-export', null); }, t('presetPackExported', { count: exported }));
+      } else if (action === 'pack-import') {
+        wrap.querySelector('[data-oa-pm-pack-file]').click();
+      } else if (action === 'pack-merge' || action === 'pack-replace') {
+        if (action === 'pack-replace' && !view.confirmReplace) {
+          view.confirmReplace = true;
+          render(function () { return control('pack-replace', null); });
+          return;
+        }
+        var imported = importPresetPack(view.pendingPack, { mode: action === 'pack-replace' ? 'replace' : 'merge', onConflict: view.packConflict });
+        view.pendingPack = null;
+        view.confirmReplace = false;
+        render(function () { return control('pack-import', null); }, t('presetPackResult', { added: imported.added.length, updated: imported.updated.length, skipped: imported.skipped.length + imported.rejected.length }));
+      } else if (action === 'schedule-remove') {
+        var rules = getSchedule();
+        rules.splice(Number(id), 1);
+        setSchedule(rules);
+        render(function () { return wrap.querySelector('[data-oa-pm-schedule-preset]'); }, t('scheduleSaved'));
+      } else if (action === 'schedule-resume') {
+        resumeSchedule();
+        render(function () { return wrap.querySelector('[data-oa-pm-schedule-preset]'); }, t('scheduleResumed'));
+      } else if (action === 'pack-cancel') {
+        view.pendingPack = null;
+        render(function () { return control('pack-import', null); });
+      } else if (action === 'apply') {
+        applyPreset(id);
+        render(function () { return control('apply', id); }, t('presetStatusApplied', { name: nameOf(id) }));
+      } else if (action === 'duplicate') {
+        var copyId = duplicatePreset(id);
+        if (copyId) view.renaming = copyId;
+        render(function () { return copyId ? wrap.querySelector('[data-oa-pm-rename-input]') : control('duplicate', id); }, copyId ? t('presetStatusSaved', { name: nameOf(copyId) }) : t('presetLimitReached', { max: maxPresets }));
+      } else if (action === 'rename') {
+        view.renaming = id;
+        view.editing = null;
+        render(function () { return wrap.querySelector('[data-oa-pm-rename-input]'); });
+      } else if (action === 'edit') {
+        view.editing = view.editing === id ? null : id;
+        view.renaming = null;
+        render(function () { return view.editing ? wrap.querySelector('[data-oa-pm-use]') : control('edit', id); });
+      } else if (action === 'cancel') {
+        var was = view.editing === id ? 'edit' : 'rename';
+        view.renaming = null;
+        view.editing = null;
+        render(function () { return control(was, id); });
+      } else if (action === 'up' || action === 'down') {
+        movePreset(id, action === 'up' ? -1 : 1);
+        var position = getSavedPresets().findIndex(function (p) { return p.id === id; }) + 1;
+        render(function () { var c = control(action, id); return c && !c.disabled ? c : control(action === 'up' ? 'down' : 'up', id); }, t('presetStatusMoved', { name: nameOf(id), position: position }));
+      } else if (action === 'delete') {
+        if (view.confirmDelete !== id) {
+          view.confirmDelete = id;
+          render(function () { return control('delete', id); });
+          return;
+        }
+        var deletedName = nameOf(id);
+        view.confirmDelete = null;
+        if (view.editing === id) view.editing = null;
+        if (view.renaming === id) view.renaming = null;
+        deletePreset(id);
+        render(function () { return wrap.querySelector('[data-oa-pm-new-name]'); }, t('presetStatusDeleted', { name: deletedName }));
+      }
+    });
+    wrap.addEventListener('change', function (e) {
+      if (e.target.hasAttribute('data-oa-pm-pack-conflict')) {
+        view.packConflict = e.target.value;
+        return;
+      }
+      if (e.target.hasAttribute('data-oa-pm-pack-file')) {
+        var file = e.target.files[0];
+        if (!file) return;
+        var reader = new FileReader();
+        reader.onload = function () {
+          var pack = null;
+          try { pack = JSON.parse(reader.result); } catch (_) {}
+          var error = checkPresetPack(pack);
+          if (error) {
+            render(function () { return control('pack-import', null); }, t(error === 'unsupported-version' ? 'presetPackTooNew' : 'presetPackInvalid'));
+            return;
+          }
+          view.pendingPack = pack;
+          view.renaming = null;
+          view.editing = null;
+          render(function () { return wrap.querySelector('[data-oa-pm-pack-conflict]'); });
+        };
+        reader.readAsText(file);
+        return;
+      }
+      // Changing a value in the editor marks that key as set by the preset.
+      var key = e.target.getAttribute && e.target.getAttribute('data-oa-pm-val');
+      var use = key && e.target.closest('.oa-pm-key').querySelector('[data-oa-pm-use]');
+      if (use) use.checked = true;
+    });
+    wrap.addEventListener('submit', function (e) {
+      e.preventDefault();
+      var form = e.target;
+      var kind = form.getAttribute('data-oa-pm-form');
+      var id = form.getAttribute('data-oa-pm-id');
+      if (kind === 'create') {
+        var name = form.querySelector('[data-oa-pm-new-name]').value.trim() || t('presetDefaultName');
+        var newId = saveCurrentAsPreset(name);
+        render(function () { return newId ? control('apply', newId) : null; }, newId ? t('presetStatusSaved', { name: name }) : t('presetLimitReached', { max: maxPresets }));
+      } else if (kind === 'schedule') {
+        var days = Array.prototype.filter.call(form.querySelectorAll('[data-oa-pm-day]'), function (box) { return box.checked; }).map(function (box) { return Number(box.getAttribute('data-oa-pm-day')); });
+        var rule = { preset: form.querySelector('[data-oa-pm-schedule-preset]').value, from: form.querySelector('[data-oa-pm-schedule-from]').value, to: form.querySelector('[data-oa-pm-schedule-to]').value };
+        if (days.length < 7) rule.days = days;
+        if (!days.length || !normalizeScheduleRule(rule, 'preset manager')) {
+          render(function () { return wrap.querySelector('[data-oa-pm-schedule-preset]'); }, t('scheduleInvalid'));
+          return;
+        }
+        setSchedule(getSchedule().concat([rule]));
+        render(function () { return wrap.querySelector('[data-oa-pm-schedule-preset]'); }, t('scheduleSaved'));
+      } else if (kind === 'rename') {
+        var ok = renamePreset(id, form.querySelector('[data-oa-pm-rename-input]').value);
+        if (ok) view.renaming = null;
+        render(function () { return ok ? control('rename', id) : wrap.querySelector('[data-oa-pm-rename-input]'); }, ok ? t('presetStatusSaved', { name: nameOf(id) }) : '');
+      } else if (kind === 'edit') {
+        var patch = {};
+        form.querySelectorAll('[data-oa-pm-use]').forEach(function (box) {
+          if (!box.checked) return;
+          var key = box.getAttribute('data-oa-pm-use');
+          var raw = form.querySelector('[data-oa-pm-val="' + key + '"]').value;
+          var rule = STATE_SCHEMA[key];
+          patch[key] = rule.type === 'boolean' ? raw === 'true' : (rule.nullable && raw === '' ? null : raw);
+        });
+        updatePresetState(id, patch);
+        view.editing = null;
+        render(function () { return control('edit', id); }, t('presetStatusSaved', { name: nameOf(id) }));
+      }
+    });
+    wrap.addEventListener('keydown', function (e) {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      if (view.pendingPack) {
+        view.pendingPack = null;
+        view.confirmReplace = false;
+        render(function () { return control('pack-import', null); });
+        return;
+      }
+      if (view.renaming || view.editing) {
+        var id = view.renaming || view.editing;
+        var was = view.editing ? 'edit' : 'rename';
+        view.renaming = null;
+        view.editing = null;
+        render(function () { return control(was, id); });
+        return;
+      }
+      close();
+    });
+    document.body.appendChild(wrap);
+    render(function () { return wrap.querySelector('[data-oa-pm-new-name]'); });
+  }
+
   // Resolve base URL for widget assets from the script src (e.g. for icon.svg).
   function getScriptBase() {
     const s = document.currentScript || document.querySelector('script[src*="widget"]');
@@ -1447,33 +3500,43 @@ contentWidth: 'full',          // full | narrow | narrower
   function injectStyles() {
     const id = 'openaccessible-styles';
     if (document.getElementById(id)) return;
+    // Custom theme rules skip the widget UI and (for backgrounds and text) media.
+    const notUi = ':not(' + WIDGET_UI_SELECTOR + '):not(:is(' + WIDGET_UI_SELECTOR + ') *)';
+    const themed = '*:not(img,picture,video,canvas,svg,svg *,iframe)' + notUi;
     const css = `
-      .openaccessible-widget-root{--oa-zoom:1;--oa-contrast:1;--oa-cursor:default;--oa-align:left;--oa-ls:normal;--oa-lh:normal;--oa-ws:normal;}
-      .openaccessible-widget-root.oa-color-grayscale{filter:grayscale(1);}
-      .openaccessible-widget-root.oa-color-invert{filter:invert(1);}
-      .openaccessible-widget-root.oa-color-sepia{filter:sepia(1);}
-      .openaccessible-widget-root.oa-color-protanopia{filter:url(#oa-protanopia);}
-      .openaccessible-widget-root.oa-color-deuteranopia{filter:url(#oa-deuteranopia);}
-      .openaccessible-widget-root.oa-color-tritanopia{filter:url(#oa-tritanopia);}
-      .openaccessible-widget-root.oa-color-dark{filter:brightness(0.85) contrast(1.2);background:#1a1a1a !important;color:#e0e0e0 !important;}
-      .openaccessible-widget-root.oa-color-light{filter:brightness(1.1) contrast(1.1);background:#f5f5f5 !important;color:#111 !important;}
-      .openaccessible-widget-root.oa-dyslexia,.openaccessible-widget-root.oa-dyslexia body,.openaccessible-widget-root.oa-dyslexia .oa-panel,.openaccessible-widget-root.oa-dyslexia *{font-family:'Open-Dyslexic',OpenDyslexic,'Comic Sans MS',sans-serif !important;}
+      .openaccessible-widget-root{--oa-zoom:1;--oa-contrast:1;--oa-cursor:default;--oa-align:left;--oa-ls:normal;--oa-lh:normal;--oa-ws:normal;--oa-ps:0;}
+      [data-oa-filter]{filter:var(--oa-filter) !important;}
+      .openaccessible-widget-root.oa-color-dark{color-scheme:dark;}
+      .openaccessible-widget-root.oa-color-light{background:#f5f5f5 !important;color:#111 !important;}
+      .openaccessible-widget-root.oa-font-family,.openaccessible-widget-root.oa-font-family *,.oa-panel.oa-font-family,.oa-panel.oa-font-family *{font-family:var(--oa-font-family) !important;}
       .openaccessible-widget-root.oa-highlight-links a{outline:2px solid #0a7ea4 !important;outline-offset:2px;}
       .openaccessible-widget-root.oa-highlight-headings h1,.openaccessible-widget-root.oa-highlight-headings h2,.openaccessible-widget-root.oa-highlight-headings h3,.openaccessible-widget-root.oa-highlight-headings h4,.openaccessible-widget-root.oa-highlight-headings h5,.openaccessible-widget-root.oa-highlight-headings h6{outline:2px dashed #0a7ea4;outline-offset:4px;}
       .openaccessible-widget-root.oa-focus-visible *:focus-visible{outline:3px solid #0a7ea4 !important;outline-offset:2px !important;}
+      .openaccessible-widget-root.oa-theme-bg,.openaccessible-widget-root.oa-theme-bg ${themed}{background-color:var(--oa-theme-bg) !important;}
+      .openaccessible-widget-root.oa-theme-text,.openaccessible-widget-root.oa-theme-text ${themed}{color:var(--oa-theme-text) !important;}
+      .openaccessible-widget-root.oa-theme-link a${notUi},.openaccessible-widget-root.oa-theme-link a${notUi} *{color:var(--oa-theme-link) !important;}
+      .openaccessible-widget-root.oa-theme-visited a:visited${notUi},.openaccessible-widget-root.oa-theme-visited a:visited${notUi} *{color:var(--oa-theme-visited) !important;}
+      .openaccessible-widget-root.oa-theme-focus *:focus-visible{outline:3px solid var(--oa-theme-focus) !important;outline-offset:2px !important;}
       .openaccessible-widget-root.oa-underline-links a{text-decoration:underline !important;}
       .openaccessible-widget-root.oa-reduce-motion *,.openaccessible-widget-root.oa-reduce-motion *::before,.openaccessible-widget-root.oa-reduce-motion *::after{animation-duration:0.01ms !important;animation-iteration-count:1 !important;transition-duration:0.01ms !important;}
-      .openaccessible-widget-root.oa-reading-guide::after{content:'';position:fixed;left:0;top:var(--oa-guide-y,0);width:100%;height:120px;background:rgba(10,126,164,0.12);pointer-events:none;z-index:99998;}
+      #openaccessible-reading-guide{position:fixed;left:0;right:0;top:var(--oa-guide-y,33vh);height:2.4em;transform:translateY(-50%);background:rgba(10,126,164,0.12);border-bottom:2px solid rgba(10,126,164,0.6);pointer-events:none;z-index:2147483643;}
+      #openaccessible-reading-guide .oa-guide-handle{position:absolute;right:8px;top:50%;width:44px;height:44px;margin-top:-22px;box-sizing:border-box;border-radius:50%;background:#0a7ea4;border:2px solid #fff;box-shadow:0 2px 6px rgba(0,0,0,0.3);pointer-events:auto;cursor:grab;touch-action:none;}
+      #openaccessible-reading-guide .oa-guide-handle::before{content:'';position:absolute;left:10px;right:10px;top:50%;height:10px;margin-top:-5px;border-top:2px solid #fff;border-bottom:2px solid #fff;}
+      #openaccessible-reading-guide .oa-guide-handle:focus-visible{outline:3px solid #22D3EE;outline-offset:2px;}
+      #openaccessible-reading-guide[dir="rtl"] .oa-guide-handle{right:auto;left:8px;}
+      #openaccessible-reading-guide.oa-guide-handle-only{background:none;border-bottom:0;}
       .openaccessible-widget-root[data-oa-align="center"]{text-align:center;}
       .openaccessible-widget-root[data-oa-align="right"]{text-align:right;}
       .openaccessible-widget-root[data-oa-align="justify"]{text-align:justify;}
-      .openaccessible-widget-root.oa-ls-wide{letter-spacing:0.12em !important;}
-      .openaccessible-widget-root.oa-ls-wider{letter-spacing:0.2em !important;}
-      .openaccessible-widget-root.oa-lh-relaxed{line-height:1.6 !important;}
-      .openaccessible-widget-root.oa-lh-loose{line-height:1.9 !important;}
-      .openaccessible-widget-root.oa-ws-wide{word-spacing:0.2em !important;}
+      .openaccessible-widget-root.oa-ls,.openaccessible-widget-root.oa-ls *${notUi}{letter-spacing:var(--oa-ls) !important;}
+      .openaccessible-widget-root.oa-lh,.openaccessible-widget-root.oa-lh *${notUi}{line-height:var(--oa-lh) !important;}
+      .openaccessible-widget-root.oa-ws,.openaccessible-widget-root.oa-ws *${notUi}{word-spacing:var(--oa-ws) !important;}
+      .openaccessible-widget-root.oa-ps p${notUi}{margin-bottom:var(--oa-ps) !important;}
       .openaccessible-widget-root.oa-monospace{font-family:ui-monospace,monospace !important;}
-      .openaccessible-widget-root.oa-focus-strip .oa-focus-strip-mask{position:fixed;left:0;right:0;top:0;bottom:0;background:linear-gradient(to bottom,rgba(0,0,0,0.55) 0%,transparent 35%,transparent 65%,rgba(0,0,0,0.55) 100%);pointer-events:none;z-index:2147483643;}
+      #openaccessible-focus-strip{position:fixed;left:0;right:0;top:0;bottom:0;pointer-events:none;z-index:2147483643;}
+      #openaccessible-focus-strip .oa-mask-top,#openaccessible-focus-strip .oa-mask-bottom{position:absolute;left:0;right:0;background:var(--oa-mask-color,#000);opacity:var(--oa-mask-opacity,0.55);}
+      #openaccessible-focus-strip .oa-mask-top{top:0;height:max(0px,calc(var(--oa-guide-y,33vh) - var(--oa-mask-h,120px) / 2));}
+      #openaccessible-focus-strip .oa-mask-bottom{top:calc(var(--oa-guide-y,33vh) + var(--oa-mask-h,120px) / 2);bottom:0;}
       .oa-selection-bar{position:fixed;z-index:2147483644;display:flex;gap:6px;padding:6px 10px;background:#0F172A;color:#fff;border-radius:10px;box-shadow:0 4px 16px rgba(0,0,0,0.3);align-items:center;font-size:13px;}
       .oa-selection-bar .oa-btn-bar{padding:6px 12px;border:none;border-radius:6px;background:#22D3EE;color:#0F172A;cursor:pointer;font-weight:500;}
       .oa-selection-bar .oa-btn-bar:hover{background:#67e8f9;}
@@ -1496,6 +3559,20 @@ contentWidth: 'full',          // full | narrow | narrower
       body.oa-widget-dark .openaccessible-widget-root.oa-reduce-transparency .oa-panel,.openaccessible-widget-root.oa-reduce-transparency .oa-reading-view,.openaccessible-widget-root.oa-reduce-transparency .oa-translate-overlay{background:#1e293b !important;}
       .openaccessible-widget-root.oa-content-narrow main,.openaccessible-widget-root.oa-content-narrow [role="main"],.openaccessible-widget-root.oa-content-narrow .oa-content-wrap{max-width:65ch !important;margin-left:auto !important;margin-right:auto !important;}
       .openaccessible-widget-root.oa-content-narrower main,.openaccessible-widget-root.oa-content-narrower [role="main"],.openaccessible-widget-root.oa-content-narrower .oa-content-wrap{max-width:45ch !important;margin-left:auto !important;margin-right:auto !important;}
+      .openaccessible-widget-root.oa-reflow,.openaccessible-widget-root.oa-reflow body{min-width:0 !important;}
+      .openaccessible-widget-root.oa-reflow :where(*${notUi}){max-width:100% !important;overflow-wrap:anywhere !important;columns:auto !important;}
+      .openaccessible-widget-root.oa-reflow :where(pre,pre *,code)${notUi}{white-space:pre-wrap !important;}
+      .openaccessible-widget-root.oa-reflow :where(img,video)${notUi}{height:auto !important;}
+      [data-oa-reflow="columns"]{flex-direction:column !important;flex-wrap:nowrap !important;align-items:stretch !important;}
+      [data-oa-reflow="columns"]>*{flex:0 0 auto !important;width:auto !important;min-width:0 !important;}
+      [data-oa-reflow="wrap"]{flex-wrap:wrap !important;}
+      [data-oa-reflow="grid"]{grid-template-columns:minmax(0,1fr) !important;grid-template-areas:none !important;grid-auto-flow:row !important;}
+      [data-oa-reflow="grid"]>*{grid-column:auto !important;grid-row:auto !important;}
+      [data-oa-reflow="float"]{float:none !important;width:auto !important;}
+      [data-oa-reflow="wide"]{width:auto !important;min-width:0 !important;}
+      [data-oa-reflow="unstick"]{position:static !important;}
+      .oa-reflow-table{max-width:100%;overflow-x:auto;}
+      .oa-reflow-table:focus-visible{outline:3px solid #22D3EE;outline-offset:2px;}
       .oa-overlay-list{list-style:none;margin:0;padding:8px 0;max-height:280px;overflow:auto;}
       .oa-overlay-list li{padding:8px 12px;border-radius:8px;cursor:pointer;}
       .oa-overlay-list li:hover{background:rgba(34,211,238,0.15);}
@@ -1527,6 +3604,32 @@ contentWidth: 'full',          // full | narrow | narrower
       .oa-panel-header h3{margin:0;font-size:1.1rem;font-weight:600;letter-spacing:0.02em;}
       .oa-tts-actions{display:flex;gap:8px;margin-bottom:12px;}
       .oa-btn-tts{padding:8px 14px;border-radius:8px;border:1px solid #22D3EE;background:#f0fdfa;color:#0e7490;cursor:pointer;font-size:13px;font-weight:500;}
+      .oa-btn-tts:disabled{opacity:0.5;cursor:default;}
+      .oa-opt-locked{opacity:0.6;}
+      .oa-preset-manager{max-width:620px;}
+      .oa-preset-manager h5{margin:16px 0 8px;font-size:0.9rem;}
+      .oa-pm-create,.oa-pm-rename{display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin-top:8px;}
+      .oa-preset-manager input[type="text"],.oa-preset-manager input[type="number"],.oa-preset-manager select{padding:6px 8px;border:1px solid #cbd5e1;border-radius:6px;font-size:13px;background:#fff;color:#0f172a;}
+      .oa-pm-list{list-style:none;margin:0;padding:0;}
+      .oa-pm-item{border:1px solid #e2e8f0;border-radius:10px;padding:10px 12px;margin-bottom:8px;}
+      .oa-pm-head{display:flex;gap:8px;align-items:center;font-weight:600;}
+      .oa-pm-badge{font-size:11px;font-weight:500;padding:2px 6px;border-radius:6px;background:#e2e8f0;color:#334155;}
+      .oa-pm-diff,.oa-pm-note{margin:6px 0;font-size:12px;color:#475569;}
+      .oa-pm-default{color:#64748b;}
+      .oa-pm-actions{display:flex;flex-wrap:wrap;gap:6px;}
+      .oa-pm-actions .oa-btn-tts{padding:4px 10px;font-size:12px;}
+      .oa-pm-editor fieldset{border:1px solid #e2e8f0;border-radius:8px;margin:8px 0;padding:8px;}
+      .oa-pm-editor legend{font-size:12px;font-weight:600;padding:0 4px;}
+      .oa-pm-key{display:grid;grid-template-columns:auto 1fr minmax(110px,40%);gap:6px;align-items:center;font-size:12px;padding:2px 0;}
+      .oa-pm-status{margin:8px 0 0;font-size:12px;min-height:1em;}
+      .oa-pm-pack{display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin:10px 0 4px;}
+      .oa-pm-pack.oa-pm-item{display:block;}
+      .oa-pm-pack select{margin:6px 0;max-width:100%;}
+      .oa-pm-schedule{display:flex;flex-wrap:wrap;gap:6px 8px;align-items:center;margin-top:8px;font-size:12px;}
+      .oa-pm-schedule fieldset{display:flex;flex-wrap:wrap;gap:4px 10px;border:1px solid #e2e8f0;border-radius:8px;margin:0;padding:6px 8px;flex-basis:100%;}
+      .oa-pm-schedule legend{font-weight:600;padding:0 4px;}
+      body.oa-widget-dark .oa-pm-item,body.oa-widget-dark .oa-pm-editor fieldset,body.oa-widget-dark .oa-pm-schedule fieldset{border-color:#475569;}
+      body.oa-widget-dark .oa-pm-diff,body.oa-widget-dark .oa-pm-note{color:#cbd5e1;}
       .oa-btn-tts:hover{background:#ccfbf1;}
       .oa-btn-tts:focus-visible{outline:2px solid #22D3EE;outline-offset:2px;}
       .oa-panel-body{padding:20px;}
@@ -1537,6 +3640,11 @@ contentWidth: 'full',          // full | narrow | narrower
       .oa-section-title{font-size:11px;font-weight:600;text-transform:uppercase;letter-spacing:0.06em;color:#22D3EE;margin-bottom:10px;}
       .oa-section label{display:block;margin-bottom:6px;font-weight:500;color:#334155;}
       .oa-opt{display:flex;align-items:center;gap:10px;margin:8px 0;}
+      .oa-theme-swatches{display:flex;flex-wrap:wrap;gap:6px;margin:6px 0 10px;}
+      .oa-theme-swatch{padding:6px 10px;border-radius:8px;border:2px solid;cursor:pointer;font-size:12px;font-weight:600;}
+      .oa-theme-swatch[aria-pressed="true"]{outline:3px solid #22D3EE;outline-offset:2px;}
+      .oa-theme-row input[type="color"],.oa-mask-row input[type="color"]{width:40px;height:28px;padding:0;border:1px solid #cbd5e1;border-radius:6px;background:none;cursor:pointer;}
+      .oa-theme-ratio{font-size:12px;color:#64748b;font-variant-numeric:tabular-nums;}
       .oa-opt input[type="checkbox"]{width:20px;height:20px;accent-color:#22D3EE;}
       .oa-opt select{flex:1;padding:8px 12px;border-radius:10px;border:1px solid #e2e8f0;background:#fff;}
       .oa-opt select:focus{border-color:#22D3EE;outline:none;}
@@ -1591,6 +3699,22 @@ contentWidth: 'full',          // full | narrow | narrower
       .oa-panel-footer .oa-account-badge{display:inline-block;margin-top:4px;padding:2px 8px;border-radius:6px;background:rgba(255,255,255,0.15);color:#e2e8f0;font-size:11px;}
       .oa-panel-footer .oa-account-badge-hidden{display:none;}
       .oa-voice-nav-hint{margin:4px 0 0;font-size:12px;color:#64748b;}
+      .oa-simplified{position:relative;border-bottom:1px dotted currentColor;cursor:help;}
+      .oa-simplified:focus{outline:2px solid #0a7ea4;outline-offset:1px;}
+      .oa-simplified:hover::after,.oa-simplified:focus::after,.oa-simplified-open::after{content:attr(data-oa-definition);position:absolute;left:0;top:100%;margin-top:4px;width:max-content;max-width:260px;padding:8px 10px;background:#1a1a2e;color:#eee;border-radius:8px;font-size:13px;font-weight:normal;font-style:normal;line-height:1.4;letter-spacing:normal;text-transform:none;white-space:normal;box-shadow:0 4px 12px rgba(0,0,0,0.3);z-index:2147483640;}
+      .oa-toolbar[dir="rtl"][data-pos="bottom-right"]{right:auto;left:20px;}
+      .oa-toolbar[dir="rtl"][data-pos="bottom-left"]{left:auto;right:20px;}
+      .oa-toolbar[dir="rtl"][data-pos="top-right"]{right:auto;left:20px;}
+      .oa-toolbar[dir="rtl"][data-pos="top-left"]{left:auto;right:20px;}
+      .oa-panel[dir="rtl"][data-pos="bottom-right"]{right:auto;left:20px;}
+      .oa-panel[dir="rtl"][data-pos="bottom-left"]{left:auto;right:20px;}
+      .oa-panel[dir="rtl"][data-pos="top-right"]{right:auto;left:20px;}
+      .oa-panel[dir="rtl"][data-pos="top-left"]{left:auto;right:20px;}
+      .oa-panel[dir="rtl"] .oa-close{right:auto;left:12px;}
+      .oa-panel[dir="rtl"] input[type="range"]{direction:rtl;}
+      .oa-reading-view[dir="rtl"] .oa-reading-view-close,.oa-translate-overlay[dir="rtl"] .oa-reading-view-close{right:auto;left:12px;}
+      .oa-reading-view[dir="rtl"] .oa-shortcuts-keys{direction:ltr;text-align:right;unicode-bidi:isolate;}
+      .oa-word-modal-backdrop[dir="rtl"] .oa-close-modal{right:auto;left:16px;}
       .oa-btn-test-voice{margin-top:4px;}
       body.oa-widget-dark .oa-voice-nav-hint{color:#94a3b8;}
     `;
@@ -1600,50 +3724,863 @@ contentWidth: 'full',          // full | narrow | narrower
     document.head.appendChild(el);
   }
 
-  // Inject SVG filters for color-blindness modes (protanopia, deuteranopia, tritanopia).
-  function ensureSvgFilters() {
-    let svg = document.getElementById('openaccessible-filters');
-    if (svg) return;
-    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.id = 'openaccessible-filters';
-    svg.setAttribute('aria-hidden', 'true');
-    svg.style.cssText = 'position:absolute;width:0;height:0;';
-    svg.innerHTML = `
-      <defs>
-        <filter id="oa-protanopia"><feColorMatrix type="matrix" values="0.567,0.433,0,0,0 0.558,0.442,0,0,0 0,0.242,0.758,0,0 0,0,0,1,0"/></filter>
-        <filter id="oa-deuteranopia"><feColorMatrix type="matrix" values="0.625,0.375,0,0,0 0.7,0.3,0,0,0 0,0.3,0.7,0,0 0,0,0,1,0"/></filter>
-        <filter id="oa-tritanopia"><feColorMatrix type="matrix" values="0.95,0.05,0,0,0 0,0.433,0.567,0,0 0,0.475,0.525,0,0 0,0,0,1,0"/></filter>
-      </defs>
-    `;
-    document.body.appendChild(svg);
+  // Top-level elements of the widget's own UI (panel, toolbar, dialogs, tooltips); page styling features leave them alone.
+  const WIDGET_UI_SELECTOR = '#openaccessible-panel,#openaccessible-toolbar,#openaccessible-skip,#openaccessible-focus-strip,#openaccessible-reading-guide,#openaccessible-filters,' +
+    '.oa-reading-view,.oa-selection-bar,.oa-translate-overlay,.oa-word-modal-backdrop,[id^="oa-tooltip-"]';
+
+  // --- Dark theme: recolor computed backgrounds, text and borders under $root (inverted lightness, same hue) instead of filtering ---
+  // Widget UI, media and non-rendered elements are never recolored by the dark theme or contrast fix (media subtrees are skipped entirely).
+  const RECOLOR_SKIP = WIDGET_UI_SELECTOR + ',img,picture,video,audio,canvas,svg,iframe,embed,object';
+  const RECOLOR_IGNORED_TAGS = ['HEAD', 'STYLE', 'SCRIPT', 'LINK', 'META', 'TITLE', 'NOSCRIPT', 'TEMPLATE', 'BR'];
+  const RECOLOR_SCAN_MS = 120;     // batch window for re-scanning content added or restyled by the page
+  const RECOLOR_KINDS = {
+    dark: { attr: 'data-oa-dark', styleId: 'openaccessible-dark-theme' },
+    contrast: { attr: 'data-oa-contrast', styleId: 'openaccessible-contrast-fix' },
+    filter: { attr: 'data-oa-filter-bg', styleId: 'openaccessible-filter-bg' },
+  };
+
+  // Parse a computed rgb()/rgba() color into { r, g, b, a }; null for anything else.
+  function parseCssColor(value) {
+    var m = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/.exec(String(value || '').trim());
+    if (!m) return null;
+    var a = m[4] == null ? 1 : (m[4].slice(-1) === '%' ? parseFloat(m[4]) / 100 : parseFloat(m[4]));
+    return { r: +m[1], g: +m[2], b: +m[3], a: a };
+  }
+
+  // { r, g, b } (0-255) -> { h, s, l } (0-1).
+  function rgbToHsl(c) {
+    var r = c.r / 255, g = c.g / 255, b = c.b / 255;
+    var max = Math.max(r, g, b), min = Math.min(r, g, b);
+    var l = (max + min) / 2;
+    var d = max - min;
+    if (!d) return { h: 0, s: 0, l: l };
+    var s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    var h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+    return { h: h / 6, s: s, l: l };
+  }
+
+  // { h, s, l } (0-1) -> { r, g, b } (0-255).
+  function hslToRgb(c) {
+    function channel(p, q, t) {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    }
+    if (!c.s) return { r: Math.round(c.l * 255), g: Math.round(c.l * 255), b: Math.round(c.l * 255) };
+    var q = c.l < 0.5 ? c.l * (1 + c.s) : c.l + c.s - c.l * c.s;
+    var p = 2 * c.l - q;
+    return { r: Math.round(channel(p, q, c.h + 1 / 3) * 255), g: Math.round(channel(p, q, c.h) * 255), b: Math.round(channel(p, q, c.h - 1 / 3) * 255) };
+  }
+
+  // Dark counterpart of a color: lightness inverted into a readable band per kind ('bg' | 'text' | 'border'), hue, saturation and alpha kept.
+  // Dark and mid-tone text (e.g. pure blue links) is lifted to at least 70% lightness so it reads on the dark backgrounds.
+  function darkThemeColor(color, kind) {
+    var band = { bg: [0.07, 0.83], text: [0.1, 0.82], border: [0.18, 0.6] }[kind];
+    var hsl = rgbToHsl(color);
+    var l = band[0] + (1 - hsl.l) * band[1];
+    if (kind === 'text' && hsl.l <= 0.55) l = Math.max(l, 0.7);
+    var rgb = hslToRgb({ h: hsl.h, s: hsl.s, l: l });
+    return color.a < 1 ? 'rgba(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ',' + color.a + ')' : 'rgb(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ')';
+  }
+
+  // Dark theme declaration for one element from its computed (original) colors, or '' when nothing needs recoloring.
+  // Text color is only set where it differs from the parent's, so inherited colors follow the parent's override.
+  function darkThemeDeclaration(el) {
+    var cs = global.getComputedStyle(el);
+    var out = [];
+    var bg = parseCssColor(cs.backgroundColor);
+    if (bg && bg.a > 0) out.push('background-color:' + darkThemeColor(bg, 'bg') + ' !important');
+    else if (el === $root) out.push('background-color:' + darkThemeColor({ r: 255, g: 255, b: 255, a: 1 }, 'bg') + ' !important');
+    var parent = el.parentElement;
+    var color = parseCssColor(cs.color);
+    if (color && (el === $root || !parent || global.getComputedStyle(parent).color !== cs.color)) out.push('color:' + darkThemeColor(color, 'text') + ' !important');
+    var hasBorder = ['Top', 'Right', 'Bottom', 'Left'].some(function (side) { return parseFloat(cs['border' + side + 'Width']) > 0 && cs['border' + side + 'Style'] !== 'none'; });
+    var border = hasBorder && cs.borderTopColor !== cs.color ? parseCssColor(cs.borderTopColor) : null;
+    if (border && border.a > 0) out.push('border-color:' + darkThemeColor(border, 'border') + ' !important');
+    return out.join(';');
+  }
+
+  // Elements under each of tops (tops included, document order; only tops when own) that may be recolored: inside $root, not widget UI,
+  // media or non-rendered tags.
+  function recolorCandidates(tops, own) {
+    var out = [];
+    tops.forEach(function (top) {
+      if (!top || top.nodeType !== 1 || !document.contains(top) || (top !== $root && !$root.contains(top))) return;
+      (own ? [top] : [top].concat(Array.prototype.slice.call(top.querySelectorAll('*')))).forEach(function (el) {
+        if (RECOLOR_IGNORED_TAGS.indexOf(el.tagName) >= 0 || el.closest(RECOLOR_SKIP) || (document.head && document.head.contains(el))) return;
+        out.push(el);
+      });
+    });
+    return out;
+  }
+
+  // Tag el with the rule for declaration ('dark' -> data-oa-dark, 'contrast' -> data-oa-contrast); equal declarations share one rule.
+  function addRecolorRule(kind, el, declaration) {
+    var info = RECOLOR_KINDS[kind];
+    var rules = recolorRules[kind];
+    var n = rules[declaration];
+    if (n == null) {
+      var style = document.getElementById(info.styleId);
+      if (!style) {
+        style = document.createElement('style');
+        style.id = info.styleId;
+        document.head.appendChild(style);
+      }
+      n = rules[declaration] = Object.keys(rules).length;
+      var rule = '[' + info.attr + '="' + n + '"]{' + declaration + ';}';
+      try { style.sheet.insertRule(rule, style.sheet.cssRules.length); } catch (_) { style.textContent += rule + '\n'; }
+    }
+    el.setAttribute(info.attr, n);
+  }
+
+  // Remove one kind of recoloring: its tags, rules and <style> element (and the contrast report).
+  function clearRecolor(kind) {
+    var info = RECOLOR_KINDS[kind];
+    recolorRules[kind] = {};
+    document.querySelectorAll('[' + info.attr + ']').forEach(function (el) { el.removeAttribute(info.attr); });
+    var style = document.getElementById(info.styleId);
+    if (style) style.remove();
+    if (kind === 'contrast') contrastEntries = [];
+  }
+
+  // Text color and background an element's descendants depend on, as one string; compared when the element is restyled.
+  function recolorSignature(el) {
+    var cs = global.getComputedStyle(el);
+    return cs.color + '|' + cs.backgroundColor + '|' + cs.backgroundImage;
+  }
+
+  // Recolor elements (and their descendants unless own): read every original color first, then tag elements with data-oa-dark.
+  function scanDarkTheme(tops, own) {
+    recolorCandidates(tops, own).filter(function (el) { return !el.hasAttribute('data-oa-dark'); }).map(function (el) {
+      recolorColors.set(el, recolorSignature(el));
+      return [el, darkThemeDeclaration(el)];
+    }).forEach(function (item) {
+      if (item[1]) addRecolorRule('dark', item[0], item[1]);
+    });
+  }
+
+  // --- Contrast fix: bring text up to a WCAG 2.x contrast ratio against its effective background (hue kept) ---
+  // contrastFix level -> minimum ratio for normal and large text (24px+, or 18.66px+ bold).
+  const CONTRAST_TARGETS = { aa: { normal: 4.5, large: 3 }, aaa: { normal: 7, large: 4.5 } };
+
+  // WCAG relative luminance of { r, g, b }.
+  function relativeLuminance(c) {
+    function channel(v) {
+      v /= 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    }
+    return 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+  }
+
+  // WCAG contrast ratio (1-21) of two opaque colors.
+  function contrastRatio(a, b) {
+    var la = relativeLuminance(a);
+    var lb = relativeLuminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+  }
+
+  // Paint `top` (alpha respected) over the opaque color `bottom`.
+  function blendColors(top, bottom) {
+    var a = top.a == null ? 1 : top.a;
+    return { r: Math.round(top.r * a + bottom.r * (1 - a)), g: Math.round(top.g * a + bottom.g * (1 - a)), b: Math.round(top.b * a + bottom.b * (1 - a)), a: 1 };
+  }
+
+  // Opaque color behind el's text: its own and its ancestors' background colors over white. null when a background image or gradient is in the way.
+  function effectiveBackground(el) {
+    var layers = [];
+    for (var node = el; node && node.nodeType === 1; node = node.parentElement) {
+      var cs = global.getComputedStyle(node);
+      if (cs.backgroundImage && cs.backgroundImage !== 'none') return null;
+      var bg = parseCssColor(cs.backgroundColor);
+      if (bg && bg.a > 0) layers.push(bg);
+      if (bg && bg.a >= 1) break;
+    }
+    return layers.reduceRight(function (under, layer) { return blendColors(layer, under); }, { r: 255, g: 255, b: 255, a: 1 });
+  }
+
+  // Lightness (same hue and saturation as color) closest to color's own that reaches target against `against`; -1 when neither darker nor lighter can.
+  function lightnessForContrast(color, against, target) {
+    var hsl = rgbToHsl(color);
+    var best = -1;
+    [0, 1].forEach(function (end) {
+      if (contrastRatio(hslToRgb({ h: hsl.h, s: hsl.s, l: end }), against) < target) return;
+      var fail = hsl.l;
+      var pass = end;
+      for (var i = 0; i < 16; i++) {
+        var mid = (fail + pass) / 2;
+        if (contrastRatio(hslToRgb({ h: hsl.h, s: hsl.s, l: mid }), against) >= target) pass = mid;
+        else fail = mid;
+      }
+      if (best === -1 || Math.abs(pass - hsl.l) < Math.abs(best - hsl.l)) best = pass;
+    });
+    return best;
+  }
+
+  // 'rgb(r,g,b)' of an opaque color.
+  function formatRgb(c) {
+    return 'rgb(' + c.r + ',' + c.g + ',' + c.b + ')';
+  }
+
+  // Check the text directly inside el. Below the target, change the text lightness; if no text lightness is enough, change the background
+  // lightness; failing that, use black or white text on an adjusted background. Returns a report entry, or null when el passes or has no visible text.
+  function fixElementContrast(el) {
+    if (!Array.prototype.some.call(el.childNodes, function (n) { return n.nodeType === 3 && /\S/.test(n.nodeValue); })) return null;
+    if (typeof el.checkVisibility === 'function' && !el.checkVisibility({ visibilityProperty: true })) return null;
+    var cs = global.getComputedStyle(el);
+    var fg = parseCssColor(cs.color);
+    if (!fg || cs.display === 'none' || cs.visibility !== 'visible') return null;
+    var size = parseFloat(cs.fontSize) || 16;
+    var large = size >= 24 || (size >= 18.66 && (parseInt(cs.fontWeight, 10) || 400) >= 700);
+    var target = CONTRAST_TARGETS[state.contrastFix][large ? 'large' : 'normal'];
+    var entry = { element: el, text: el.textContent.trim().replace(/\s+/g, ' ').slice(0, 60), target: target, large: large, colorBefore: formatRgb(fg) };
+    var bg = effectiveBackground(el);
+    if (!bg) return { ...entry, fixed: false, reason: 'background-image' };
+    var color = blendColors(fg, bg);
+    var ratio = contrastRatio(color, bg);
+    if (ratio >= target) return null;
+    entry.backgroundBefore = formatRgb(bg);
+    entry.ratioBefore = Math.round(ratio * 100) / 100;
+    var nextColor = color;
+    var nextBg = null;
+    var l = lightnessForContrast(color, bg, target);
+    if (l >= 0) {
+      var hsl = rgbToHsl(color);
+      nextColor = hslToRgb({ h: hsl.h, s: hsl.s, l: l });
+    } else {
+      var bl = lightnessForContrast(bg, color, target);
+      if (bl < 0) {
+        nextColor = contrastRatio({ r: 0, g: 0, b: 0 }, bg) >= contrastRatio({ r: 255, g: 255, b: 255 }, bg) ? { r: 0, g: 0, b: 0 } : { r: 255, g: 255, b: 255 };
+        bl = lightnessForContrast(bg, nextColor, target);
+      }
+      if (bl < 0) return { ...entry, fixed: false, reason: 'unreachable' };
+      var bgHsl = rgbToHsl(bg);
+      nextBg = hslToRgb({ h: bgHsl.h, s: bgHsl.s, l: bl });
+    }
+    var declaration = (nextColor !== color ? 'color:' + formatRgb(nextColor) + ' !important' : '') +
+      (nextBg ? (nextColor !== color ? ';' : '') + 'background-color:' + formatRgb(nextBg) + ' !important' : '');
+    addRecolorRule('contrast', el, declaration);
+    entry.changed = nextBg ? (nextColor !== color ? 'both' : 'background') : 'color';
+    entry.colorAfter = formatRgb(nextColor);
+    entry.backgroundAfter = formatRgb(nextBg || bg);
+    entry.ratioAfter = Math.round(contrastRatio(nextColor, nextBg || bg) * 100) / 100;
+    entry.fixed = true;
+    return entry;
+  }
+
+  // Check and fix elements one by one in document order (a fixed parent's color is inherited before its children are measured), then emit contrast.
+  function scanContrast(tops, own) {
+    var added = [];
+    recolorCandidates(tops, own).forEach(function (el) {
+      if (el.hasAttribute('data-oa-contrast')) return;
+      if (state.colorFilter !== 'dark') recolorColors.set(el, recolorSignature(el));
+      var entry = fixElementContrast(el);
+      if (entry) added.push(entry);
+    });
+    contrastEntries = contrastEntries.concat(added);
+    if (added.length) emit('contrast', { level: state.contrastFix, fixed: added.filter(function (e) { return e.fixed; }).length, unresolved: added.filter(function (e) { return !e.fixed; }).length });
+  }
+
+  // What the contrast fix changed: { level, fixed, unresolved, entries } (entries for elements still in the page; element references included).
+  function getContrastReport() {
+    var entries = contrastEntries.filter(function (e) { return document.contains(e.element); }).map(function (e) { return { ...e }; });
+    return {
+      level: state.contrastFix,
+      fixed: entries.filter(function (e) { return e.fixed; }).length,
+      unresolved: entries.filter(function (e) { return !e.fixed; }).length,
+      entries: entries,
+    };
+  }
+
+  // --- Custom color theme: themeText/themeBackground/themeLink/themeVisited/themeFocus as --oa-theme-* properties on $root ---
+  // State key -> suffix of its custom property (--oa-theme-<suffix>) and $root class (oa-theme-<suffix>).
+  const THEME_KEYS = { themeText: 'text', themeBackground: 'bg', themeLink: 'link', themeVisited: 'visited', themeFocus: 'focus' };
+  // Color input value shown while a theme key is unset (a color input cannot be empty).
+  const THEME_INPUT_FALLBACK = { themeText: '#000000', themeBackground: '#ffffff', themeLink: '#0000ee', themeVisited: '#551a8b', themeFocus: '#0a7ea4' };
+  // Curated combinations; every pair reaches at least 7:1 text and 4.5:1 link contrast.
+  const THEME_SWATCHES = [
+    { id: 'yellow-black', label: 'themeYellowOnBlack', colors: { themeText: '#ffff00', themeBackground: '#000000', themeLink: '#00ffff', themeVisited: '#ff99ff', themeFocus: '#ff9900' } },
+    { id: 'white-black', label: 'themeWhiteOnBlack', colors: { themeText: '#ffffff', themeBackground: '#000000', themeLink: '#ffff00', themeVisited: '#c8a2ff', themeFocus: '#00ffff' } },
+    { id: 'black-white', label: 'themeBlackOnWhite', colors: { themeText: '#000000', themeBackground: '#ffffff', themeLink: '#0000cc', themeVisited: '#6a1b9a', themeFocus: '#d35400' } },
+    { id: 'blue-cream', label: 'themeBlueOnCream', colors: { themeText: '#0b1f4d', themeBackground: '#fdf6e3', themeLink: '#0b50a0', themeVisited: '#6a1b9a', themeFocus: '#c0392b' } },
+    { id: 'black-yellow', label: 'themeBlackOnYellow', colors: { themeText: '#000000', themeBackground: '#ffff99', themeLink: '#0000aa', themeVisited: '#5b2c83', themeFocus: '#c00000' } },
+  ];
+
+  // '#rrggbb' -> { r, g, b }, or null.
+  function parseHexColor(value) {
+    var m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value || '');
+    return m ? { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) } : null;
+  }
+
+  // Readout for a theme color against the theme background, e.g. '8.6:1 AAA'; '' when either is unset.
+  function formatThemeRatio(color, background) {
+    var fg = parseHexColor(color);
+    var bg = parseHexColor(background);
+    if (!fg || !bg) return '';
+    var ratio = contrastRatio(fg, bg);
+    var grade = ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : t('themeLowContrast');
+    return (Math.floor(ratio * 10) / 10) + ':1 ' + grade;
+  }
+
+  // Refresh the ratio readouts next to each theme color (values = current input values, so they follow a picker while it is open).
+  function updateThemeReadouts() {
+    if (!$panel) return;
+    var value = function (key) {
+      var input = $panel.querySelector('[data-oa-opt="' + key + '"]');
+      return input && input.getAttribute('data-oa-theme-set') ? input.value : '';
+    };
+    $panel.querySelectorAll('[data-oa-theme-ratio]').forEach(function (out) {
+      var key = out.getAttribute('data-oa-theme-ratio');
+      var text = formatThemeRatio(value(key), value('themeBackground'));
+      out.textContent = text || (value(key) ? '' : t('themeSiteColor'));
+    });
+  }
+
+  // Set $root's --oa-theme-* properties and oa-theme-* classes from state.
+  function applyTheme() {
+    Object.keys(THEME_KEYS).forEach(function (key) {
+      var suffix = THEME_KEYS[key];
+      $root.classList.toggle('oa-theme-' + suffix, !!state[key]);
+      if (state[key]) $root.style.setProperty('--oa-theme-' + suffix, state[key]);
+      else $root.style.removeProperty('--oa-theme-' + suffix);
+    });
+  }
+
+  // Page classes of a class attribute value, without the widget's own (oa-*, openaccessible-*) classes.
+  function pageClasses(value) {
+    return String(value || '').split(/\s+/).filter(function (c) { return c && !/^(oa-|openaccessible-)/.test(c); }).sort().join(' ');
+  }
+
+  // Color, background and border declarations of a style attribute value, normalized for comparison.
+  function colorDeclarations(value) {
+    return String(value || '').split(';').map(function (d) { return d.trim().toLowerCase(); }).filter(function (d) {
+      return /^(color|background|border)[a-z-]*\s*:/.test(d);
+    }).sort().join(';');
+  }
+
+  // Untag el (and its descendants when deep) and drop their contrast report entries, so their colors are read afresh.
+  function untagRecolor(el, deep) {
+    var els = deep ? [el].concat(Array.prototype.slice.call(el.querySelectorAll('[data-oa-dark],[data-oa-contrast]'))) : [el];
+    els.forEach(function (node) {
+      node.removeAttribute('data-oa-dark');
+      node.removeAttribute('data-oa-contrast');
+    });
+    contrastEntries = contrastEntries.filter(function (entry) { return deep ? !el.contains(entry.element) : entry.element !== el; });
+  }
+
+  // Queue changed content for a batched re-scan (dark theme first, then contrast fix). A restyled element is untagged and re-read on its
+  // own; its descendants are re-read only when its original text color or background changed. Style changes that touch no color,
+  // background or border declaration, and the widget's own class and style changes on $root and <body> (applyToDocument), are ignored.
+  function onRecolorMutation(mutations) {
+    mutations.forEach(function (m) {
+      var target = m.type === 'attributes' ? m.target : null;
+      if (target && m.attributeName === 'style' && colorDeclarations(m.oldValue) === colorDeclarations(target.getAttribute('style'))) target = null;
+      if (target && (target === $root || target === document.body)) {
+        if (m.attributeName === 'style' || pageClasses(m.oldValue) === pageClasses(target.getAttribute('class'))) target = null;
+      }
+      if (target && target.closest && !target.closest(RECOLOR_SKIP)) {
+        var before = recolorColors.get(target);
+        untagRecolor(target, false);
+        if (before != null && before === recolorSignature(target)) recolorPendingOwn.push(target);
+        else {
+          untagRecolor(target, true);
+          recolorPending.push(target);
+        }
+      }
+      if (m.type === 'childList') m.addedNodes.forEach(function (node) { if (node.nodeType === 1) recolorPending.push(node); });
+    });
+    if ((!recolorPending.length && !recolorPendingOwn.length) || recolorScanTimer) return;
+    recolorScanTimer = global.setTimeout(function () {
+      recolorScanTimer = null;
+      var pending = recolorPending;
+      var own = recolorPendingOwn;
+      recolorPending = [];
+      recolorPendingOwn = [];
+      if (!recolorObserver) return;
+      if (state.colorFilter === 'dark') {
+        scanDarkTheme(pending);
+        scanDarkTheme(own, true);
+      }
+      if (contrastLevel) {
+        scanContrast(pending);
+        scanContrast(own, true);
+      }
+    }, RECOLOR_SCAN_MS);
+  }
+
+  // Bring the dark theme (colorFilter 'dark') and the contrast fix (contrastFix) in line with state; both are redone from scratch when
+  // what they depend on changes, and one MutationObserver on $root keeps them up with page changes while either is on.
+  function syncRecolor() {
+    var dark = state.colorFilter === 'dark';
+    var level = state.contrastFix !== 'off' ? [state.contrastFix, state.colorFilter].concat(Object.keys(THEME_KEYS).map(function (k) { return state[k]; })).join('|') : '';
+    var moved = recolorObserver && recolorObserver.oaRoot !== $root;
+    // The contrast fix reads colors after the dark theme, so it is cleared before the dark theme changes.
+    if (moved || level !== contrastLevel) clearRecolor('contrast');
+    if (moved || !dark) clearRecolor('dark');
+    if (dark && (moved || !darkThemeOn)) scanDarkTheme([$root]);
+    darkThemeOn = dark;
+    var rescanContrast = level && (moved || level !== contrastLevel);
+    contrastLevel = level;
+    if (rescanContrast) scanContrast([$root]);
+    var on = dark || !!level;
+    if (recolorObserver && (!on || moved)) {
+      recolorObserver.disconnect();
+      recolorObserver = null;
+      recolorPending = [];
+      recolorPendingOwn = [];
+    }
+    if (on && !recolorObserver && typeof MutationObserver !== 'undefined') {
+      recolorObserver = new MutationObserver(onRecolorMutation);
+      recolorObserver.oaRoot = $root;
+      recolorObserver.observe($root, { childList: true, subtree: true, attributes: true, attributeOldValue: true, attributeFilter: ['class', 'style'] });
+    }
+  }
+
+  // --- Color vision deficiency: simulation (colorFilter, a design preview) and daltonization (colorCorrection) ---
+  // RGB matrices (rows = output R, G, B) showing what a dichromat sees.
+  const CVD_SIMULATION = {
+    protanopia: [[0.567, 0.433, 0], [0.558, 0.442, 0], [0, 0.242, 0.758]],
+    deuteranopia: [[0.625, 0.375, 0], [0.7, 0.3, 0], [0, 0.3, 0.7]],
+    tritanopia: [[0.95, 0.05, 0], [0, 0.433, 0.567], [0, 0.475, 0.525]],
+  };
+  // Where the lost color difference is redistributed: red/green errors go to green and blue, blue/yellow errors to red and green.
+  const CVD_ERROR_SHIFT = {
+    protanopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+    deuteranopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+    tritanopia: [[1, 0, 0.7], [0, 1, 0.7], [0, 0, 0]],
+  };
+  // Achromatopsia has no hue to recover: colors become luminance with this much extra contrast so light/dark differences carry the information.
+  const ACHROMATOPSIA_CONTRAST = 1.25;
+
+  // 3x3 matrix product.
+  function multiplyMatrix3(a, b) {
+    return a.map(function (row) {
+      return [0, 1, 2].map(function (j) { return row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]; });
+    });
+  }
+
+  // feColorMatrix values for an RGB matrix plus a constant offset per channel (alpha unchanged).
+  function colorMatrixValues(m, offset) {
+    return m.map(function (row) {
+      return row.map(function (v) { return +v.toFixed(4); }).join(',') + ',0,' + +(offset || 0).toFixed(4);
+    }).join(' ') + ' 0,0,0,1,0';
+  }
+
+  // Daltonization matrix for a colorCorrection type at strength 0-100: I + k * shift * (I - simulation), i.e. the color
+  // difference a dichromat loses is added back on channels they can see; achromatopsia blends towards contrast-stretched luminance.
+  function correctionMatrix(type, strength) {
+    var k = Math.max(0, Math.min(100, strength)) / 100;
+    var identity = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    if (type === 'achromatopsia') {
+      var lum = [0.2126, 0.7152, 0.0722].map(function (w) { return w * ACHROMATOPSIA_CONTRAST; });
+      return {
+        matrix: identity.map(function (row) { return row.map(function (v, j) { return (1 - k) * v + k * lum[j]; }); }),
+        offset: k * (1 - ACHROMATOPSIA_CONTRAST) / 2,
+      };
+    }
+    var sim = CVD_SIMULATION[type];
+    var error = identity.map(function (row, i) { return row.map(function (v, j) { return v - sim[i][j]; }); });
+    var shifted = multiplyMatrix3(CVD_ERROR_SHIFT[type], error);
+    return { matrix: identity.map(function (row, i) { return row.map(function (v, j) { return v + k * shifted[i][j]; }); }), offset: 0 };
+  }
+
+  // Inject SVG filters: oa-protanopia/oa-deuteranopia/oa-tritanopia simulate, oa-correction holds the current daltonization matrix.
+  function ensureSvgFilters() {
+    let svg = document.getElementById('openaccessible-filters');
+    if (svg) return;
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.id = 'openaccessible-filters';
+    svg.setAttribute('aria-hidden', 'true');
+    svg.style.cssText = 'position:absolute;width:0;height:0;';
+    svg.innerHTML = '<defs>' + Object.keys(CVD_SIMULATION).map(function (type) {
+      return '<filter id="oa-' + type + '" color-interpolation-filters="sRGB"><feColorMatrix type="matrix" values="' + colorMatrixValues(CVD_SIMULATION[type]) + '"/></filter>';
+    }).join('') + '<filter id="oa-correction" color-interpolation-filters="sRGB"><feColorMatrix type="matrix" values="' +
+      colorMatrixValues([[1, 0, 0], [0, 1, 0], [0, 0, 1]]) + '"/></filter></defs>';
+    document.body.appendChild(svg);
+  }
+
+  // --- Filter chain: one CSS filter for the sliders, color correction and colorFilter ---
+  // Each step is a CSS filter function and the same operation as an RGB matrix plus offset (Filter Effects formulas), so the colors
+  // of backgrounds that cannot carry the filter themselves can be computed (see paintFilterContainers).
+  const SEPIA_MATRIX = [[0.393, 0.769, 0.189], [0.349, 0.686, 0.168], [0.272, 0.534, 0.131]];
+
+  // Step that scales every channel: v * slope + intercept (brightness, contrast, invert).
+  function linearStep(css, slope, intercept) {
+    return { css: css, matrix: [[slope, 0, 0], [0, slope, 0], [0, 0, slope]], offset: intercept };
+  }
+
+  // saturate(amount) step; grayscale(1) is saturate(0).
+  function saturateStep(css, amount) {
+    var s = amount;
+    return {
+      css: css,
+      matrix: [
+        [0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s],
+        [0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s],
+        [0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s],
+      ],
+      offset: 0,
+    };
+  }
+
+  // hue-rotate(degrees) step.
+  function hueRotateStep(degrees) {
+    var a = degrees * Math.PI / 180;
+    var c = Math.cos(a);
+    var n = Math.sin(a);
+    return {
+      css: 'hue-rotate(' + degrees + 'deg)',
+      matrix: [
+        [0.213 + c * 0.787 - n * 0.213, 0.715 - c * 0.715 - n * 0.715, 0.072 - c * 0.072 + n * 0.928],
+        [0.213 - c * 0.213 + n * 0.143, 0.715 + c * 0.285 + n * 0.140, 0.072 - c * 0.072 - n * 0.283],
+        [0.213 - c * 0.213 - n * 0.787, 0.715 - c * 0.715 + n * 0.715, 0.072 + c * 0.928 + n * 0.072],
+      ],
+      offset: 0,
+    };
+  }
+
+  // colorFilter value -> its steps ('dark' recolors instead of filtering; see syncRecolor).
+  function colorFilterSteps(value) {
+    if (value === 'grayscale') return [saturateStep('grayscale(1)', 0)];
+    if (value === 'invert') return [linearStep('invert(1)', -1, 1)];
+    if (value === 'sepia') return [{ css: 'sepia(1)', matrix: SEPIA_MATRIX, offset: 0 }];
+    if (value === 'light') return [linearStep('brightness(1.1)', 1.1, 0), linearStep('contrast(1.1)', 1.1, -0.05)];
+    if (CVD_SIMULATION[value]) {
+      ensureSvgFilters();
+      return [{ css: 'url(#oa-' + value + ')', matrix: CVD_SIMULATION[value], offset: 0 }];
+    }
+    return [];
+  }
+
+  // The page filter steps for the current state. Slider adjustments come first, then colorCorrection, then colorFilter, so a
+  // simulation previews the adjusted page and invert/grayscale act on corrected colors.
+  function filterSteps() {
+    var steps = [];
+    if (state.saturation !== 1) steps.push(saturateStep('saturate(' + state.saturation + ')', state.saturation));
+    if (state.brightness !== 1) steps.push(linearStep('brightness(' + state.brightness + ')', state.brightness, 0));
+    if (state.hueRotate) steps.push(hueRotateStep(state.hueRotate));
+    if (state.contrast !== 1) steps.push(linearStep('contrast(' + state.contrast + ')', state.contrast, 0.5 - 0.5 * state.contrast));
+    var correction = syncCorrectionFilter();
+    if (correction) steps.push({ css: 'url(#oa-correction)', matrix: correction.matrix, offset: correction.offset });
+    return steps.concat(colorFilterSteps(state.colorFilter));
+  }
+
+  // A { r, g, b, a } color (0-255) as it looks after the filter steps.
+  function filterColor(color, steps) {
+    var v = [color.r / 255, color.g / 255, color.b / 255];
+    steps.forEach(function (step) {
+      v = step.matrix.map(function (row) {
+        return Math.max(0, Math.min(1, row[0] * v[0] + row[1] * v[1] + row[2] * v[2] + step.offset));
+      });
+    });
+    return { r: Math.round(v[0] * 255), g: Math.round(v[1] * 255), b: Math.round(v[2] * 255), a: color.a };
+  }
+
+  // Write the colorCorrection matrix into #oa-correction; returns { matrix, offset } to chain, or null when correction is off.
+  function syncCorrectionFilter() {
+    if (!state.colorCorrection || state.colorCorrection === 'none') return null;
+    ensureSvgFilters();
+    var m = correctionMatrix(state.colorCorrection, state.colorCorrectionStrength);
+    var node = document.querySelector('#oa-correction feColorMatrix');
+    if (node) node.setAttribute('values', colorMatrixValues(m.matrix, m.offset));
+    return m;
+  }
+
+  // --- Page filter: filter page content but not the widget UI, host-excluded elements or fixed-position elements ---
+  // A filter makes its element the containing block of fixed descendants and filters everything inside it, so instead of $root it goes
+  // on the largest subtrees that hold no kept-out element ([data-oa-filter]); the ancestors in between only get a filtered background.
+  // Elements (e.g. video players) with data-oa-no-filter or matching OpenAccessibleConfig.filterExclude are kept out like the widget UI.
+  function filterExcludeSelector() {
+    return WIDGET_UI_SELECTOR + ',[data-oa-no-filter]' + (filterExclude ? ',' + filterExclude : '');
+  }
+
+  // Sort el into out.targets (filtered) or out.containers (<html>, <body>, ancestors of kept-out elements; children visited).
+  function collectFilterTargets(el, keepOut, exclude, out) {
+    if (RECOLOR_IGNORED_TAGS.indexOf(el.tagName) >= 0 || el.matches(exclude)) return;
+    if (el === document.documentElement || el === document.body || keepOut.some(function (k) { return k !== el && el.contains(k); })) {
+      out.containers.push(el);
+      Array.prototype.forEach.call(el.children, function (child) { collectFilterTargets(child, keepOut, exclude, out); });
+    } else out.targets.push(el);
+  }
+
+  // True when el is laid out against the viewport (filtering an ancestor would pin it to that ancestor instead).
+  function isFixedPosition(el) {
+    try { return global.getComputedStyle(el).position === 'fixed'; } catch (_) { return false; }
+  }
+
+  // Tag the filter targets under $root from scratch and repaint the containers' backgrounds.
+  function retargetPageFilter(steps) {
+    var exclude = filterExcludeSelector();
+    var keepOut = Array.prototype.filter.call($root.querySelectorAll('*'), function (el) {
+      if (RECOLOR_IGNORED_TAGS.indexOf(el.tagName) >= 0) return false;
+      if (el.closest(exclude)) return el.matches(exclude);
+      return isFixedPosition(el);
+    });
+    var out = { targets: [], containers: [] };
+    collectFilterTargets($root, keepOut, exclude, out);
+    document.querySelectorAll('[data-oa-filter]').forEach(function (el) { el.removeAttribute('data-oa-filter'); });
+    out.targets.forEach(function (el) { el.setAttribute('data-oa-filter', ''); });
+    filterContainers = out.containers;
+    paintFilterContainers(steps);
+  }
+
+  // 'rgb()' / 'rgba()' of a { r, g, b, a } color.
+  function formatCssColor(c) {
+    return c.a != null && c.a < 1 ? 'rgba(' + c.r + ',' + c.g + ',' + c.b + ',' + c.a + ')' : formatRgb(c);
+  }
+
+  // Give each container the filtered version of its own background, text and border colors (so text directly inside it looks filtered
+  // too); with no page background at all, the white canvas is painted on <html>. Child elements that inherit a container's text color
+  // get the original back, as the filter (or its absence) already applies to them.
+  function paintFilterContainers(steps) {
+    clearRecolor('filter');
+    var html = document.documentElement;
+    var colors = filterContainers.map(function (el) {
+      var cs = global.getComputedStyle(el);
+      var bg = parseCssColor(cs.backgroundColor);
+      var hasBorder = ['Top', 'Right', 'Bottom', 'Left'].some(function (side) {
+        return parseFloat(cs['border' + side + 'Width']) > 0 && cs['border' + side + 'Style'] !== 'none';
+      });
+      return { bg: bg && bg.a ? bg : null, text: cs.color, color: parseCssColor(cs.color), border: hasBorder ? parseCssColor(cs.borderTopColor) : null };
+    });
+    if (filterContainers[0] === html && !colors[0].bg && !(filterContainers[1] === document.body && colors[1].bg)) colors[0].bg = { r: 255, g: 255, b: 255, a: 1 };
+    var inheriting = [];
+    filterContainers.forEach(function (el, i) {
+      Array.prototype.forEach.call(el.children, function (child) {
+        if (filterContainers.indexOf(child) >= 0 || RECOLOR_IGNORED_TAGS.indexOf(child.tagName) >= 0 || child.matches(WIDGET_UI_SELECTOR)) return;
+        if (global.getComputedStyle(child).color === colors[i].text) inheriting.push(child);
+      });
+    });
+    filterContainers.forEach(function (el, i) {
+      var out = [];
+      if (colors[i].bg) out.push('background-color:' + formatCssColor(filterColor(colors[i].bg, steps)) + ' !important');
+      if (colors[i].color) out.push('color:' + formatCssColor(filterColor(colors[i].color, steps)) + ' !important');
+      if (colors[i].border && colors[i].border.a > 0) out.push('border-color:' + formatCssColor(filterColor(colors[i].border, steps)) + ' !important');
+      if (out.length) addRecolorRule('filter', el, out.join(';'));
+    });
+    inheriting.forEach(function (child) { addRecolorRule('filter', child, 'color:' + colors[filterContainers.indexOf(child.parentElement)].text); });
+  }
+
+  // Re-target (batched) when elements are added to a container, or kept-out elements show up inside a filtered subtree, including an
+  // element that becomes fixed-position through a class or style change (e.g. a sticky header). Style changes that do not mention
+  // position are ignored.
+  function onFilterMutation(mutations) {
+    var exclude = filterExcludeSelector();
+    var needed = mutations.some(function (m) {
+      if (m.target.closest && m.target.closest(exclude)) return false;
+      if (m.type === 'attributes') {
+        var el = m.target;
+        if (m.attributeName === 'style' && !/position/i.test((m.oldValue || '') + ' ' + (el.getAttribute('style') || ''))) return false;
+        return !!(el.parentElement && el.parentElement.closest('[data-oa-filter]')) && isFixedPosition(el);
+      }
+      var inContainer = filterContainers.indexOf(m.target) >= 0;
+      return Array.prototype.some.call(m.addedNodes, function (node) {
+        if (node.nodeType !== 1 || RECOLOR_IGNORED_TAGS.indexOf(node.tagName) >= 0) return false;
+        if (node.matches(exclude)) return !inContainer;
+        return inContainer || !!node.querySelector(exclude) || isFixedPosition(node);
+      });
+    });
+    if (!needed || filterRetargetTimer) return;
+    filterRetargetTimer = global.setTimeout(function () {
+      filterRetargetTimer = null;
+      if (filterObserver) retargetPageFilter(filterSteps());
+    }, RECOLOR_SCAN_MS);
+  }
+
+  // Take the page filter off: untag targets, drop container backgrounds and stop watching.
+  function releasePageFilter() {
+    if (filterObserver) {
+      filterObserver.oaRoot.style.removeProperty('--oa-filter');
+      filterObserver.disconnect();
+      filterObserver = null;
+    }
+    if (filterRetargetTimer) global.clearTimeout(filterRetargetTimer);
+    filterRetargetTimer = null;
+    document.querySelectorAll('[data-oa-filter]').forEach(function (el) { el.removeAttribute('data-oa-filter'); });
+    clearRecolor('filter');
+    filterContainers = [];
+    pageFilter = '';
+  }
+
+  // Apply the filter chain: --oa-filter on $root feeds the [data-oa-filter] rule. Targets are found once per $root and again on page
+  // changes; a different chain only repaints the container backgrounds.
+  function syncPageFilter() {
+    var steps = filterSteps();
+    var chain = steps.map(function (step) { return step.css; }).join(' ');
+    if (!chain || (filterObserver && filterObserver.oaRoot !== $root)) releasePageFilter();
+    if (!chain) {
+      $root.style.removeProperty('--oa-filter');
+      return;
+    }
+    $root.style.setProperty('--oa-filter', chain);
+    if (!filterObserver) {
+      retargetPageFilter(steps);
+      if (typeof MutationObserver !== 'undefined') {
+        filterObserver = new MutationObserver(onFilterMutation);
+        filterObserver.oaRoot = $root;
+        filterObserver.observe($root, { childList: true, subtree: true, attributes: true, attributeOldValue: true, attributeFilter: ['class', 'style'] });
+      }
+    } else if (chain !== pageFilter) paintFilterContainers(steps);
+    pageFilter = chain;
+  }
+
+  // --- Reflow (WCAG 1.4.10): one column, tables scrolled in their own box, fixed bars unstuck and long strings wrapped ---
+  // CSS cannot select by computed layout, so page elements are measured and tagged data-oa-reflow="<kind>" (rules in injectStyles).
+  const REFLOW_COLUMN_SHARE = 0.25; // flex items (or a float) at least this share of their container's width are page columns
+  const REFLOW_BAR_SHARE = 0.5;     // fixed/sticky elements at least this share of the viewport wide and less than it tall are headers/footers
+
+  // How el must change to reflow: 'unstick', 'grid', 'columns', 'wrap', 'float', 'wide' or '' (nothing).
+  function reflowKind(el, viewW, viewH) {
+    var cs = global.getComputedStyle(el);
+    var rect = el.getBoundingClientRect();
+    if ((cs.position === 'fixed' || cs.position === 'sticky') && rect.width >= viewW * REFLOW_BAR_SHARE && rect.height < viewH * REFLOW_BAR_SHARE) return 'unstick';
+    if (cs.display === 'grid' || cs.display === 'inline-grid') return 'grid';
+    if ((cs.display === 'flex' || cs.display === 'inline-flex') && cs.flexDirection.indexOf('column') < 0) {
+      var columns = Array.prototype.filter.call(el.children, function (child) {
+        return child.getBoundingClientRect().width >= rect.width * REFLOW_COLUMN_SHARE;
+      }).length;
+      return rect.width && columns >= 2 ? 'columns' : 'wrap';
+    }
+    var float = cs.getPropertyValue('float');
+    if (float && float !== 'none' && el.parentElement && rect.width >= el.parentElement.getBoundingClientRect().width * REFLOW_COLUMN_SHARE) return 'float';
+    if (viewW && rect.width > viewW) return 'wide';
+    return '';
+  }
+
+  // Measure and tag the elements under tops (all reads before any write), and wrap their outermost tables in scroll boxes.
+  function scanReflow(tops) {
+    var html = document.documentElement;
+    var viewW = html.clientWidth || global.innerWidth || 0;
+    var viewH = global.innerHeight || html.clientHeight || 0;
+    var els = recolorCandidates(tops);
+    els.forEach(function (el) { el.removeAttribute('data-oa-reflow'); });
+    var kinds = els.map(function (el) { return reflowKind(el, viewW, viewH); });
+    els.forEach(function (el, i) {
+      if (kinds[i]) el.setAttribute('data-oa-reflow', kinds[i]);
+      if (el.tagName === 'TABLE' && !el.parentElement.closest('table') && !el.parentElement.classList.contains('oa-reflow-table')) wrapReflowTable(el);
+    });
+    updateReflowTables();
+  }
+
+  // Move table into a new .oa-reflow-table box, which scrolls sideways when the table is wider than the page.
+  function wrapReflowTable(table) {
+    var box = document.createElement('div');
+    box.className = 'oa-reflow-table';
+    table.parentNode.insertBefore(box, table);
+    box.appendChild(table);
+    reflowTables.push(box);
+  }
+
+  // A box whose table overflows becomes a labelled, focusable region so keyboard users can scroll it; others stay out of the tab order.
+  function updateReflowTables() {
+    reflowTables = reflowTables.filter(function (box) { return document.contains(box); });
+    reflowTables.forEach(function (box) {
+      if (box.scrollWidth > box.clientWidth) {
+        var caption = box.querySelector('caption');
+        box.tabIndex = 0;
+        box.setAttribute('role', 'region');
+        box.setAttribute('aria-label', (caption && caption.textContent.trim()) || t('reflowTable'));
+      } else {
+        box.removeAttribute('tabindex');
+        box.removeAttribute('role');
+        box.removeAttribute('aria-label');
+      }
+    });
+  }
+
+  // Queue elements the page adds (not the widget's own table boxes) and scan them in one batch.
+  function onReflowMutation(mutations) {
+    mutations.forEach(function (m) {
+      if (!m.target.closest || m.target.closest(RECOLOR_SKIP) || m.target.classList.contains('oa-reflow-table')) return;
+      Array.prototype.forEach.call(m.addedNodes, function (node) {
+        if (node.nodeType === 1 && !node.classList.contains('oa-reflow-table') && reflowPending.indexOf(node) < 0) reflowPending.push(node);
+      });
+    });
+    if (!reflowPending.length || reflowScanTimer) return;
+    reflowScanTimer = global.setTimeout(function () {
+      var tops = reflowPending;
+      reflowScanTimer = null;
+      reflowPending = [];
+      if (reflowObserver) scanReflow(tops);
+    }, RECOLOR_SCAN_MS);
+  }
+
+  // A new viewport size moves every column and bar decision: re-measure the whole page.
+  const onReflowResize = debounce(function () {
+    if (reflowObserver) scanReflow([reflowObserver.oaRoot]);
+  }, 200);
+
+  // Turn reflow off: untag elements, put tables back where they were and stop watching.
+  function releaseReflow() {
+    if (reflowObserver) {
+      reflowObserver.disconnect();
+      reflowObserver = null;
+      global.removeEventListener('resize', onReflowResize);
+    }
+    if (reflowScanTimer) global.clearTimeout(reflowScanTimer);
+    reflowScanTimer = null;
+    reflowPending = [];
+    document.querySelectorAll('[data-oa-reflow]').forEach(function (el) { el.removeAttribute('data-oa-reflow'); });
+    reflowTables.forEach(function (box) {
+      if (!box.parentNode) return;
+      while (box.firstChild) box.parentNode.insertBefore(box.firstChild, box);
+      box.parentNode.removeChild(box);
+    });
+    reflowTables = [];
+    reflowLevel = '';
+  }
+
+  // Apply the reflow state. Font size, content width, font family and text spacing move the page's columns, so a change to any of them
+  // re-measures from scratch; unstuck bars are no longer fixed, so the page filter is re-targeted to include them.
+  function syncReflow() {
+    $root.classList.toggle('oa-reflow', !!state.reflow);
+    var level = state.reflow ? JSON.stringify([state.fontSize, state.contentWidth, state.fontFamily, textSpacingValues()]) : '';
+    if (level === reflowLevel && (!reflowObserver || reflowObserver.oaRoot === $root)) return;
+    releaseReflow();
+    if (!level) return;
+    reflowLevel = level;
+    scanReflow([$root]);
+    if (typeof MutationObserver !== 'undefined') {
+      reflowObserver = new MutationObserver(onReflowMutation);
+      reflowObserver.oaRoot = $root;
+      reflowObserver.observe($root, { childList: true, subtree: true });
+      global.addEventListener('resize', onReflowResize);
+    }
+    if (filterObserver) retargetPageFilter(filterSteps());
   }
 
   // --- Apply current state to document (colors, font size, dyslexia font, etc.) ---
   function applyToDocument() {
+    enforceKeyLocks();
+    watchSystemPreferences();
+    if (updateSystemOverrides() && $panel) syncPanelFromState();
     if (!$root) $root = document.documentElement;
     $root.classList.add('openaccessible-widget-root');
     $root.style.setProperty('font-size', state.fontSize + '%');
-    $root.style.setProperty('filter', state.contrast !== 1 ? `contrast(${state.contrast})` : '');
     $root.dataset.oaAlign = state.textAlign || '';
 
     ['grayscale','invert','sepia','protanopia','deuteranopia','tritanopia','dark','light'].forEach(c => $root.classList.remove('oa-color-' + c));
     if (state.colorFilter && state.colorFilter !== 'none') $root.classList.add('oa-color-' + state.colorFilter);
 
-    $root.classList.toggle('oa-dyslexia', !!state.dyslexiaFont);
-    if (state.dyslexiaFont) loadDyslexiaFont();
+    if (FONT_FAMILIES[state.fontFamily]) loadFontFamily(state.fontFamily);
+    applyFontFamily($root);
     var panel = document.getElementById('openaccessible-panel');
-    if (panel) panel.classList.toggle('oa-dyslexia', !!state.dyslexiaFont);
+    if (panel) applyFontFamily(panel);
     $root.classList.toggle('oa-highlight-links', !!state.highlightLinks);
     $root.classList.toggle('oa-highlight-headings', !!state.highlightHeadings);
     $root.classList.toggle('oa-focus-visible', !!state.highlightFocus);
     $root.classList.toggle('oa-underline-links', !!state.underlineLinks);
     $root.classList.toggle('oa-reduce-motion', !!state.reduceMotion);
     $root.classList.toggle('oa-reading-guide', !!state.readingGuide);
-    $root.classList.toggle('oa-ls-wide', state.letterSpacing === 'wide');
-    $root.classList.toggle('oa-ls-wider', state.letterSpacing === 'wider');
-    $root.classList.toggle('oa-lh-relaxed', state.lineHeight === 'relaxed');
-    $root.classList.toggle('oa-lh-loose', state.lineHeight === 'loose');
-    $root.classList.toggle('oa-ws-wide', state.wordSpacing === 'wide');
+    var spacing = textSpacingValues();
+    Object.keys(TEXT_SPACING).forEach(function (key) {
+      var c = TEXT_SPACING[key];
+      $root.classList.toggle(c.cls, spacing[key] > 0);
+      if (spacing[key] > 0) $root.style.setProperty(c.prop, spacing[key] + c.unit);
+      else $root.style.removeProperty(c.prop);
+    });
     $root.classList.toggle('oa-monospace', !!state.monospaceFont);
     $root.classList.toggle('oa-focus-strip', !!state.focusStrip);
     $root.classList.toggle('oa-enlarge-focus', !!state.enlargeFocus);
@@ -1656,34 +4593,116 @@ contentWidth: 'full',          // full | narrow | narrower
 
     if (state.focusStrip) ensureFocusStripMask();
     else removeFocusStripMask();
-    if (state.readingGuide) {
-      $root.style.setProperty('--oa-guide-y', (state.readingGuidePos || 0) + 'px');
-    }
+    if (state.readingGuide || state.focusStrip) ensureReadingGuide();
+    else removeReadingGuide();
+    if (state.readingGuide || state.focusStrip) moveReadingGuide();
 
     document.body.classList.remove('oa-cursor-large', 'oa-cursor-xl');
     if (state.cursorSize === 'large') document.body.classList.add('oa-cursor-large');
     if (state.cursorSize === 'xl') document.body.classList.add('oa-cursor-xl');
 
-    if (state.colorFilter && ['protanopia','deuteranopia','tritanopia'].includes(state.colorFilter)) ensureSvgFilters();
-
     document.body.classList.remove('oa-widget-dark', 'oa-widget-light');
     if (state.colorFilter === 'dark') document.body.classList.add('oa-widget-dark');
     if (state.colorFilter === 'light') document.body.classList.add('oa-widget-light');
+    applyTheme();
+    syncRecolor();
+    syncReflow();
+    syncPageFilter();
     initLinkUrlOnFocus();
     applyFormLabelHints($root);
+    if (state.simplifiedWords) applySimplifiedWords();
+    else restoreSimplifiedWords();
   }
 
-  // Load OpenDyslexic font stylesheet when dyslexia font is enabled.
-  function loadDyslexiaFont() {
-    if (document.getElementById('openaccessible-dyslexia-font')) return;
-    const link = document.createElement('link');
-    link.id = 'openaccessible-dyslexia-font';
-    link.rel = 'stylesheet';
-    link.href = 'https://fonts.cdnfonts.com/css/open-dyslexic';
-    link.onerror = function () {
-      document.documentElement.style.setProperty('--oa-dyslexia-font', '"Comic Sans MS", sans-serif');
-    };
-    document.head.appendChild(link);
+  // --- Font families: fontFamily choices; bundled fonts are self-hosted in fonts/ next to widget.js (or fontBaseUrl) ---
+  // files: weight -> woff2 file. stack: the family, then installed fonts with similar letterforms, which the browser uses when the
+  // bundled file cannot be loaded.
+  const FONT_FAMILIES = {
+    opendyslexic: { family: 'OpenDyslexic', files: { 400: 'opendyslexic-400.woff2', 700: 'opendyslexic-700.woff2' }, stack: "'OpenDyslexic','Comic Sans MS','Comic Neue',sans-serif" },
+    atkinson: { family: 'Atkinson Hyperlegible', files: { 400: 'atkinson-hyperlegible-400.woff2', 700: 'atkinson-hyperlegible-700.woff2' }, stack: "'Atkinson Hyperlegible',Verdana,Tahoma,'Segoe UI',sans-serif" },
+    lexend: { family: 'Lexend', files: { 400: 'lexend-400.woff2', 700: 'lexend-700.woff2' }, stack: "'Lexend',Verdana,'Trebuchet MS',sans-serif" },
+    'system-sans': { stack: "system-ui,-apple-system,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif" },
+    serif: { stack: "Georgia,Cambria,'Times New Roman',Times,serif" },
+  };
+
+  // Base URL for font files: fontBaseUrl from config, else fonts/ next to widget.js.
+  function getFontBase() {
+    if (fontBaseUrl) return fontBaseUrl.replace(/\/?$/, '/');
+    return scriptBase ? scriptBase + 'fonts/' : '';
+  }
+
+  // Declare a bundled family's @font-face rules (again only if the font base changed, e.g. by a later init): an installed copy
+  // (local()) first, then the file from getFontBase().
+  function loadFontFamily(id) {
+    var font = FONT_FAMILIES[id];
+    if (!font.files) return;
+    var base = getFontBase();
+    var style = document.getElementById('openaccessible-font-' + id);
+    if (style && style.getAttribute('data-oa-font-base') === base) return;
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'openaccessible-font-' + id;
+      document.head.appendChild(style);
+    }
+    style.setAttribute('data-oa-font-base', base);
+    style.textContent = Object.keys(font.files).map(function (weight) {
+      var local = font.family + (weight === '700' ? ' Bold' : '');
+      return "@font-face{font-family:'" + font.family + "';font-style:normal;font-weight:" + weight + ';font-display:swap;' +
+        "src:local('" + local + "')" + (base ? ",url('" + base + font.files[weight] + "') format('woff2')" : '') + ';}';
+    }).join('\n');
+  }
+
+  // Put the fontFamily stack on el ($root or the panel) through the oa-font-family class and --oa-font-family.
+  function applyFontFamily(el) {
+    var font = FONT_FAMILIES[state.fontFamily];
+    el.classList.toggle('oa-font-family', !!font);
+    if (font) el.style.setProperty('--oa-font-family', font.stack);
+    else el.style.removeProperty('--oa-font-family');
+  }
+
+  // The text spacing in effect: the WCAG 1.4.12 values while textSpacingTest is on, else the state values.
+  function textSpacingValues() {
+    var out = {};
+    Object.keys(TEXT_SPACING).forEach(function (key) {
+      out[key] = state.textSpacingTest ? TEXT_SPACING[key].wcag : (key === 'lineHeight' && state[key] <= 1 ? 0 : state[key]);
+    });
+    return out;
+  }
+
+  // Label each text spacing slider with its value and unit ('Site default' at the low end). While the test is on the sliders show the
+  // test values and are disabled (locked ones stay disabled either way).
+  function syncSpacingControls() {
+    if (!$panel) return;
+    var test = $panel.querySelector('[data-oa-opt="textSpacingTest"]');
+    var testing = test ? test.checked : !!state.textSpacingTest;
+    Object.keys(TEXT_SPACING).forEach(function (key) {
+      var c = TEXT_SPACING[key];
+      var input = $panel.querySelector('[data-oa-opt="' + key + '"]');
+      var out = $panel.querySelector('[data-oa-spacing-value="' + key + '"]');
+      if (!input) return;
+      input.disabled = testing || lockedKeys.hasOwnProperty(key);
+      var value = testing ? c.wcag : Number(input.value);
+      if (out) out.textContent = value > (key === 'lineHeight' ? 1 : 0) ? +value.toFixed(2) + c.unit : t('spacingSite');
+    });
+  }
+
+  // Show the saturation/brightness sliders as percentages and the hue slider in degrees, from the sliders' current values.
+  function updateFilterReadouts() {
+    if (!$panel) return;
+    [['saturation', 'saturation', '%', 100], ['brightness', 'brightness', '%', 100], ['hueRotate', 'hue', '°', 1]].forEach(function (item) {
+      var input = $panel.querySelector('[data-oa-opt="' + item[0] + '"]');
+      var out = $panel.querySelector('[data-oa-' + item[1] + '-value]');
+      if (input && out) out.textContent = Math.round(Number(input.value) * item[3]) + item[2];
+    });
+  }
+
+  // Show the reading mask height in px and its opacity as a percentage, from the sliders' current values.
+  function updateMaskReadouts() {
+    if (!$panel) return;
+    var height = $panel.querySelector('[data-oa-opt="focusStripHeight"]');
+    var opacity = $panel.querySelector('[data-oa-opt="focusStripOpacity"]');
+    if (height) ($panel.querySelector('[data-oa-mask-height-value]') || {}).textContent = height.value + 'px';
+    if (opacity) ($panel.querySelector('[data-oa-mask-opacity-value]') || {}).textContent = Math.round(Number(opacity.value) * 100) + '%';
   }
 
   // --- Sync panel controls (checkboxes, ranges, selects) from state ---
@@ -1699,8 +4718,28 @@ contentWidth: 'full',          // full | narrow | narrower
       else el.value = value || '';
     };
     set('colorFilter', state.colorFilter);
-    set('dyslexiaFont', state.dyslexiaFont);
+    set('fontFamily', state.fontFamily);
+    set('colorCorrection', state.colorCorrection);
+    set('colorCorrectionStrength', state.colorCorrectionStrength);
+    ($panel.querySelector('[data-oa-correction-value]') || {}).textContent = state.colorCorrectionStrength + '%';
     set('contrast', state.contrast);
+    set('saturation', state.saturation);
+    set('brightness', state.brightness);
+    set('hueRotate', state.hueRotate);
+    updateFilterReadouts();
+    set('contrastFix', state.contrastFix);
+    Object.keys(THEME_KEYS).forEach(function (key) {
+      var input = get(key);
+      if (!input) return;
+      input.value = state[key] || THEME_INPUT_FALLBACK[key];
+      if (state[key]) input.setAttribute('data-oa-theme-set', '1');
+      else input.removeAttribute('data-oa-theme-set');
+    });
+    $panel.querySelectorAll('[data-oa-theme-swatch]').forEach(function (btn) {
+      var colors = THEME_SWATCHES.find(function (sw) { return sw.id === btn.getAttribute('data-oa-theme-swatch'); }).colors;
+      btn.setAttribute('aria-pressed', Object.keys(colors).every(function (k) { return state[k] === colors[k]; }) ? 'true' : 'false');
+    });
+    updateThemeReadouts();
     set('fontSize', state.fontSize);
     set('cursorSize', state.cursorSize);
     set('highlightLinks', state.highlightLinks);
@@ -1720,24 +4759,36 @@ contentWidth: 'full',          // full | narrow | narrower
     set('toolbarPosition', state.toolbarPosition);
     set('dictionaryEnabled', state.dictionaryEnabled);
     set('screenReaderHints', state.screenReaderHints);
-    set('letterSpacing', state.letterSpacing);
-    set('lineHeight', state.lineHeight);
-    set('wordSpacing', state.wordSpacing);
+    set('followSystem', state.followSystem);
+    Object.keys(TEXT_SPACING).forEach(function (key) {
+      var input = get(key);
+      if (!input) return;
+      input.value = Math.max(TEXT_SPACING[key].min, state[key]);
+    });
+    set('textSpacingTest', state.textSpacingTest);
+    syncSpacingControls();
     set('highlightAsRead', state.highlightAsRead);
     set('translateTargetLang', state.translateTargetLang);
     set('monospaceFont', state.monospaceFont);
     set('focusStrip', state.focusStrip);
+    set('focusStripHeight', state.focusStripHeight);
+    set('focusStripOpacity', state.focusStripOpacity);
+    set('focusStripColor', state.focusStripColor || defaultState.focusStripColor);
+    set('readingGuideFollow', state.readingGuideFollow);
+    updateMaskReadouts();
     set('simplifiedWords', state.simplifiedWords);
     set('enlargeFocus', state.enlargeFocus);
     set('showLinkUrl', state.showLinkUrl);
     set('reduceTransparency', state.reduceTransparency);
     set('highlightForms', state.highlightForms);
     set('contentWidth', state.contentWidth);
+    set('reflow', state.reflow);
   }
 
   // Read panel form values into state, persist, apply to document, and sync voice nav.
   function applyFromPanel() {
     if (!$panel) return;
+    const before = snapshotState();
     const get = (name, asNumber) => {
       const el = $panel.querySelector(`[data-oa-opt="${name}"]`);
       if (!el) return undefined;
@@ -1745,47 +4796,68 @@ contentWidth: 'full',          // full | narrow | narrower
       if (asNumber || el.type === 'range') return Number(el.value) || 0;
       return el.value || '';
     };
-    state.colorFilter = get('colorFilter') || 'none';
-    state.dyslexiaFont = get('dyslexiaFont');
-    state.contrast = parseFloat(get('contrast', true)) || 1;
-    state.fontSize = parseInt(get('fontSize', true), 10) || 100;
-    state.cursorSize = get('cursorSize') || 'default';
-    state.highlightLinks = get('highlightLinks');
-    state.highlightHeadings = get('highlightHeadings');
-    state.highlightFocus = get('highlightFocus');
-    state.ttsEnabled = get('ttsEnabled');
-    state.ttsMuted = get('ttsMuted');
-    state.ttsRate = parseFloat(get('ttsRate', true)) || 1;
-    state.ttsPitch = parseFloat(get('ttsPitch', true)) || 1;
-    state.ttsVoice = get('ttsVoice') || null;
-    state.textAlign = get('textAlign') || '';
-    state.language = get('language') || '';
-    state.reduceMotion = get('reduceMotion');
-    state.underlineLinks = get('underlineLinks');
-    state.readingGuide = get('readingGuide');
-    state.voiceNavigationEnabled = get('voiceNavigationEnabled');
-    state.toolbarPosition = get('toolbarPosition') || 'bottom-right';
-    state.dictionaryEnabled = get('dictionaryEnabled');
-    state.screenReaderHints = get('screenReaderHints');
-    state.letterSpacing = get('letterSpacing') || 'normal';
-    state.lineHeight = get('lineHeight') || 'normal';
-    state.wordSpacing = get('wordSpacing') || 'normal';
-    state.highlightAsRead = get('highlightAsRead');
-    state.translateTargetLang = get('translateTargetLang') || '';
-    state.monospaceFont = get('monospaceFont');
-    state.focusStrip = get('focusStrip');
-    state.simplifiedWords = get('simplifiedWords');
-    state.enlargeFocus = get('enlargeFocus');
-    state.showLinkUrl = get('showLinkUrl');
-    state.reduceTransparency = get('reduceTransparency');
-    state.highlightForms = get('highlightForms');
-    state.contentWidth = get('contentWidth') || 'full';
-    writeStorage();
-    applyToDocument();
-    updateToolbarPosition();
-    ensureVoiceNavigation();
-    syncApiPreferences('save');
-    emit('change', state);
+    // Controls removed by hiddenKeys read as undefined and locked keys keep their pinned value: neither is written, so they never
+    // count as changed for history, coalescing or the schedule override.
+    const put = (name, map, asNumber) => {
+      const value = get(name, asNumber);
+      if (value === undefined || lockedKeys.hasOwnProperty(name)) return;
+      state[name] = map ? map(value) : value;
+    };
+    put('colorFilter', v => v || 'none');
+    put('fontFamily');
+    put('colorCorrection', v => v || 'none');
+    put('colorCorrectionStrength');
+    put('contrast', v => parseFloat(v) || 1, true);
+    ['saturation', 'brightness', 'hueRotate'].forEach(function (key) { put(key); });
+    put('contrastFix', v => v || 'off');
+    Object.keys(THEME_KEYS).forEach(function (key) {
+      // Color inputs always hold a color; only ones the user picked (data-oa-theme-set) are part of the theme.
+      var input = $panel.querySelector('[data-oa-opt="' + key + '"]');
+      if (!input || lockedKeys.hasOwnProperty(key)) return;
+      state[key] = input.getAttribute('data-oa-theme-set') ? input.value : '';
+    });
+    put('fontSize', v => parseInt(v, 10) || 100, true);
+    put('cursorSize', v => v || 'default');
+    put('highlightLinks');
+    put('highlightHeadings');
+    put('highlightFocus');
+    put('ttsEnabled');
+    put('ttsMuted');
+    put('ttsRate', v => parseFloat(v) || 1, true);
+    put('ttsPitch', v => parseFloat(v) || 1, true);
+    put('ttsVoice', v => v || null);
+    put('textAlign');
+    put('language');
+    put('reduceMotion');
+    put('underlineLinks');
+    put('readingGuide');
+    put('voiceNavigationEnabled');
+    put('toolbarPosition', v => v || 'bottom-right');
+    put('dictionaryEnabled');
+    put('screenReaderHints');
+    put('followSystem');
+    if (!state.textSpacingTest) {
+      // The line height slider starts at 1, which stands for the site's own line height.
+      Object.keys(TEXT_SPACING).forEach(function (key) { put(key, v => key === 'lineHeight' && v <= 1 ? 0 : v); });
+    }
+    put('textSpacingTest', v => !!v);
+    put('highlightAsRead');
+    put('translateTargetLang');
+    put('monospaceFont');
+    put('focusStrip');
+    put('focusStripHeight');
+    put('focusStripOpacity');
+    put('focusStripColor', v => v || defaultState.focusStripColor);
+    put('readingGuideFollow', v => v || 'pointer');
+    put('simplifiedWords');
+    put('enlargeFocus');
+    put('showLinkUrl');
+    put('reduceTransparency');
+    put('highlightForms');
+    put('contentWidth', v => v || 'full');
+    put('reflow');
+    recordHistory(before, 'panel:' + Object.keys(before).filter(function (k) { return before[k] !== state[k]; }).join(','));
+    commitStateChange(false);
   }
 
   // --- Position floating toolbar (top/bottom left/right) ---
@@ -1813,328 +4885,389 @@ contentWidth: 'full',          // full | narrow | narrower
     $panel.id = 'openaccessible-panel';
     $panel.className = 'oa-panel';
     $panel.setAttribute('role', 'dialog');
-    $panel.setAttribute('aria-label', 'Accessibility settings');
+    $panel.setAttribute('aria-label', t('panelLabel'));
+    $panel.setAttribute('lang', localeCode);
+    $panel.setAttribute('dir', widgetDir);
     $panel.setAttribute('data-pos', pos);
+    // Toolbar corners are mirrored in RTL, so the position labels name the corner the toolbar actually uses.
+    const rtl = widgetDir === 'rtl';
     $panel.innerHTML = `
       <div class="oa-panel-header">
         <span class="oa-icon-wrap"></span>
-        <h3>Accessibility</h3>
+        <h3>${tHtml('panelTitle')}</h3>
       </div>
-      <button type="button" class="oa-close" aria-label="Close panel" data-oa-close>&times;</button>
+      <button type="button" class="oa-close" aria-label="${tHtml('closePanel')}" data-oa-close>&times;</button>
       <div class="oa-panel-body">
       <div class="oa-section">
-        <div class="oa-section-title">Color &amp; contrast</div>
+        <div class="oa-section-title">${tHtml('colorContrast')}</div>
         <div class="oa-opt">
-          <label>Filter</label>
+          <label>${tHtml('filter')}</label>
           <select data-oa-opt="colorFilter">
-            <option value="none">None</option>
-            <option value="grayscale">Grayscale</option>
-            <option value="invert">Invert</option>
-            <option value="sepia">Sepia</option>
-            <option value="protanopia">Protanopia</option>
-            <option value="deuteranopia">Deuteranopia</option>
-            <option value="tritanopia">Tritanopia</option>
-            <option value="dark">Dark theme</option>
-            <option value="light">Light theme</option>
+            <option value="none">${tHtml('filterNone')}</option>
+            <option value="grayscale">${tHtml('filterGrayscale')}</option>
+            <option value="invert">${tHtml('filterInvert')}</option>
+            <option value="sepia">${tHtml('filterSepia')}</option>
+            <option value="dark">${tHtml('filterDark')}</option>
+            <option value="light">${tHtml('filterLight')}</option>
+            <optgroup label="${tHtml('filterSimulation')}">
+              <option value="protanopia">${tHtml('filterProtanopia')}</option>
+              <option value="deuteranopia">${tHtml('filterDeuteranopia')}</option>
+              <option value="tritanopia">${tHtml('filterTritanopia')}</option>
+            </optgroup>
           </select>
         </div>
         <div class="oa-opt">
-          <label>Contrast</label>
+          <label for="oa-color-correction">${tHtml('colorCorrection')}</label>
+          <select data-oa-opt="colorCorrection" id="oa-color-correction">
+            <option value="none">${tHtml('correctionNone')}</option>
+            <option value="protanopia">${tHtml('correctionProtanopia')}</option>
+            <option value="deuteranopia">${tHtml('correctionDeuteranopia')}</option>
+            <option value="tritanopia">${tHtml('correctionTritanopia')}</option>
+            <option value="achromatopsia">${tHtml('correctionAchromatopsia')}</option>
+          </select>
+        </div>
+        <div class="oa-opt">
+          <label for="oa-correction-strength">${tHtml('correctionStrength')}</label>
+          <input type="range" data-oa-opt="colorCorrectionStrength" id="oa-correction-strength" min="0" max="100" step="10" value="100">
+          <span data-oa-correction-value>100%</span>
+        </div>
+        <div class="oa-opt">
+          <label>${tHtml('contrast')}</label>
           <input type="range" data-oa-opt="contrast" min="1" max="2" step="0.1" value="1">
           <span data-oa-contrast-value>1</span>
         </div>
-      </div>
-
-      <div class="oa-section">
-        <div class="oa-section-title">Reading &amp; dyslexia</div>
         <div class="oa-opt">
-          <input type="checkbox" data-oa-opt="dyslexiaFont" id="oa-dyslexia">
-          <label for="oa-dyslexia">OpenDyslexic font</label>
+          <label for="oa-saturation">${tHtml('saturation')}</label>
+          <input type="range" data-oa-opt="saturation" id="oa-saturation" min="0" max="2" step="0.1" value="1">
+          <span data-oa-saturation-value>100%</span>
         </div>
         <div class="oa-opt">
-          <input type="checkbox" data-oa-opt="simplifiedWords" id="oa-simplify">
-          <label for="oa-simplify">Simplify words (readability)</label>
+          <label for="oa-brightness">${tHtml('brightness')}</label>
+          <input type="range" data-oa-opt="brightness" id="oa-brightness" min="0.5" max="1.5" step="0.05" value="1">
+          <span data-oa-brightness-value>100%</span>
         </div>
         <div class="oa-opt">
-          <input type="checkbox" data-oa-opt="dictionaryEnabled" id="oa-dict">
-          <label for="oa-dict">Dictionary (double-click word)</label>
-        </div>
-        <div class="oa-opt" style="margin-top:4px;">
-          <span style="font-size:12px;color:#64748b;">Double-click a word to open a modal with the word, definition, and audio to hear the word or definition.</span>
+          <label for="oa-hue-rotate">${tHtml('hueRotate')}</label>
+          <input type="range" data-oa-opt="hueRotate" id="oa-hue-rotate" min="0" max="360" step="15" value="0">
+          <span data-oa-hue-value>0°</span>
         </div>
         <div class="oa-opt">
-          <label>Letter spacing</label>
-          <select data-oa-opt="letterSpacing">
-            <option value="normal">Normal</option>
-            <option value="wide">Wide</option>
-            <option value="wider">Wider</option>
+          <label for="oa-contrast-fix">${tHtml('contrastFix')}</label>
+          <select data-oa-opt="contrastFix" id="oa-contrast-fix">
+            <option value="off">${tHtml('contrastFixOff')}</option>
+            <option value="aa">${tHtml('contrastFixAa')}</option>
+            <option value="aaa">${tHtml('contrastFixAaa')}</option>
           </select>
         </div>
+      </div>
+
+      <div class="oa-section">
+        <div class="oa-section-title">${tHtml('colorTheme')}</div>
+        <div class="oa-theme-swatches" role="group" aria-label="${tHtml('themeSwatches')}">
+          ${THEME_SWATCHES.map(function (sw) { return '<button type="button" class="oa-theme-swatch" data-oa-theme-swatch="' + sw.id + '" style="background:' + sw.colors.themeBackground + ';color:' + sw.colors.themeText + ';border-color:' + sw.colors.themeLink + '">' + tHtml(sw.label) + '</button>'; }).join('')}
+        </div>
+        ${Object.keys(THEME_KEYS).map(function (key) {
+          var inputId = 'oa-theme-' + THEME_KEYS[key];
+          return '<div class="oa-opt oa-theme-row"><label for="' + inputId + '">' + tHtml(key) + '</label><input type="color" data-oa-opt="' + key + '" id="' + inputId + '" value="' + THEME_INPUT_FALLBACK[key] + '">' +
+            (key === 'themeBackground' ? '' : '<span class="oa-theme-ratio" data-oa-theme-ratio="' + key + '" aria-live="polite"></span>') + '</div>';
+        }).join('')}
+        <button type="button" class="oa-btn-tts" data-oa-theme-clear>${tHtml('themeUseSiteColors')}</button>
+      </div>
+
+      <div class="oa-section">
+        <div class="oa-section-title">${tHtml('readingDyslexia')}</div>
         <div class="oa-opt">
-          <label>Line height</label>
-          <select data-oa-opt="lineHeight">
-            <option value="normal">Normal</option>
-            <option value="relaxed">Relaxed</option>
-            <option value="loose">Loose</option>
+          <label for="oa-font-family">${tHtml('fontFamily')}</label>
+          <select data-oa-opt="fontFamily" id="oa-font-family">
+            <option value="">${tHtml('fontSite')}</option>
+            <option value="opendyslexic">${tHtml('openDyslexic')}</option>
+            <option value="atkinson">${tHtml('fontAtkinson')}</option>
+            <option value="lexend">${tHtml('fontLexend')}</option>
+            <option value="system-sans">${tHtml('fontSystemSans')}</option>
+            <option value="serif">${tHtml('fontSerif')}</option>
           </select>
         </div>
         <div class="oa-opt">
-          <label>Word spacing</label>
-          <select data-oa-opt="wordSpacing">
-            <option value="normal">Normal</option>
-            <option value="wide">Wide</option>
-          </select>
+          <input type="checkbox" data-oa-opt="simplifiedWords" id="oa-simplify">
+          <label for="oa-simplify">${tHtml('simplifyWords')}</label>
+        </div>
+        <div class="oa-opt">
+          <input type="checkbox" data-oa-opt="dictionaryEnabled" id="oa-dict">
+          <label for="oa-dict">${tHtml('dictionary')}</label>
+        </div>
+        <div class="oa-opt" style="margin-top:4px;" data-oa-opt-hint="dictionaryEnabled">
+          <span style="font-size:12px;color:#64748b;">${tHtml('dictionaryHint')}</span>
+        </div>
+        ${Object.keys(TEXT_SPACING).map(function (key) {
+          var c = TEXT_SPACING[key];
+          return '<div class="oa-opt"><label for="oa-' + c.cls + '">' + tHtml(key) + '</label><input type="range" data-oa-opt="' + key + '" id="oa-' + c.cls + '" min="' + c.min + '" max="' + c.max + '" step="' + c.step + '" value="' + c.min + '">' +
+            '<span data-oa-spacing-value="' + key + '"></span></div>';
+        }).join('')}
+        <div class="oa-opt">
+          <input type="checkbox" data-oa-opt="textSpacingTest" id="oa-text-spacing-test">
+          <label for="oa-text-spacing-test">${tHtml('textSpacingTest')}</label>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Size &amp; cursor</div>
+        <div class="oa-section-title">${tHtml('sizeCursor')}</div>
         <div class="oa-opt">
-          <label>Font size %</label>
+          <label>${tHtml('fontSizePercent')}</label>
           <input type="range" data-oa-opt="fontSize" min="80" max="150" step="5" value="100">
           <span data-oa-font-value>100</span>
         </div>
         <div class="oa-opt">
-          <label>Cursor</label>
+          <label>${tHtml('cursor')}</label>
           <select data-oa-opt="cursorSize">
-            <option value="default">Default</option>
-            <option value="large">Large</option>
-            <option value="xl">Extra large</option>
+            <option value="default">${tHtml('cursorDefault')}</option>
+            <option value="large">${tHtml('cursorLarge')}</option>
+            <option value="xl">${tHtml('cursorXl')}</option>
           </select>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Highlight &amp; focus</div>
+        <div class="oa-section-title">${tHtml('highlightFocusTitle')}</div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="highlightLinks" id="oa-hlinks">
-          <label for="oa-hlinks">Highlight links</label>
+          <label for="oa-hlinks">${tHtml('highlightLinks')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="highlightHeadings" id="oa-hhead">
-          <label for="oa-hhead">Highlight headings</label>
+          <label for="oa-hhead">${tHtml('highlightHeadings')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="highlightFocus" id="oa-hfocus" checked>
-          <label for="oa-hfocus">Highlight focus</label>
+          <label for="oa-hfocus">${tHtml('highlightFocus')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="underlineLinks" id="oa-ulinks">
-          <label for="oa-ulinks">Underline links</label>
+          <label for="oa-ulinks">${tHtml('underlineLinks')}</label>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Text-to-Speech</div>
+        <div class="oa-section-title">${tHtml('tts')}</div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="ttsEnabled" id="oa-tts">
-          <label for="oa-tts">Enable TTS</label>
+          <label for="oa-tts">${tHtml('ttsEnable')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="ttsMuted" id="oa-tts-muted">
-          <label for="oa-tts-muted">Mute sound</label>
+          <label for="oa-tts-muted">${tHtml('mute')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="highlightAsRead" id="oa-highlight-read">
-          <label for="oa-highlight-read">Highlight words as you read</label>
+          <label for="oa-highlight-read">${tHtml('highlightAsRead')}</label>
         </div>
         <div class="oa-opt">
-          <label>Rate</label>
+          <label>${tHtml('rate')}</label>
           <input type="range" data-oa-opt="ttsRate" min="0.5" max="2" step="0.1" value="1">
         </div>
         <div class="oa-opt">
-          <label>Pitch</label>
+          <label>${tHtml('pitch')}</label>
           <input type="range" data-oa-opt="ttsPitch" min="0.5" max="2" step="0.1" value="1">
         </div>
         <div class="oa-opt oa-opt-voice-row">
-          <label>Voice</label>
-          <select data-oa-opt="ttsVoice"><option value="">Default</option></select>
+          <label>${tHtml('voice')}</label>
+          <select data-oa-opt="ttsVoice"><option value="">${tHtml('defaultVoice')}</option></select>
         </div>
         <div class="oa-opt">
-          <button type="button" class="oa-btn-tts oa-btn-test-voice" data-oa-test-voice aria-label="Play sample with selected voice">Test voice</button>
+          <button type="button" class="oa-btn-tts oa-btn-test-voice" data-oa-test-voice aria-label="${tHtml('testVoiceLabel')}">${tHtml('testVoice')}</button>
         </div>
         <div class="oa-tts-actions">
-          <button type="button" class="oa-btn-tts" data-oa-tts-read aria-label="Read page">Read</button>
-          <button type="button" class="oa-btn-tts" data-oa-tts-stop aria-label="Stop">Stop</button>
-          <button type="button" class="oa-btn-tts" data-oa-speak-selection aria-label="Speak selection">Speak selection</button>
+          <button type="button" class="oa-btn-tts" data-oa-tts-read>${tHtml('readPage')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-tts-stop>${tHtml('stop')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-speak-selection>${tHtml('speakSelection')}</button>
         </div>
       </div>
       <div class="oa-section">
-        <div class="oa-section-title">Voice navigation</div>
+        <div class="oa-section-title">${tHtml('voiceNavigation')}</div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="voiceNavigationEnabled" id="oa-voice-nav">
-          <label for="oa-voice-nav">Enable voice commands (e.g. &quot;Open accessibility&quot;, &quot;Read page&quot;, &quot;Stop&quot;)</label>
+          <label for="oa-voice-nav">${tHtml('voiceNav')}</label>
         </div>
-        <p class="oa-voice-nav-hint">Say: open/close accessibility, read page, stop, speak selection, next heading, show headings.</p>
+        <p class="oa-voice-nav-hint">${tHtml('voiceNavHint')}</p>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Translate</div>
+        <div class="oa-section-title">${tHtml('translate')}</div>
         <div class="oa-opt">
-          <label>Translate to</label>
-          <select data-oa-opt="translateTargetLang">
-            <option value="">Off</option>
-            <option value="es">Spanish</option>
-            <option value="fr">French</option>
-            <option value="de">German</option>
-            <option value="it">Italian</option>
-            <option value="pt">Portuguese</option>
-            <option value="ar">Arabic</option>
-            <option value="zh">Chinese</option>
-            <option value="ja">Japanese</option>
-            <option value="ko">Korean</option>
-            <option value="hi">Hindi</option>
-            <option value="nl">Dutch</option>
-            <option value="ru">Russian</option>
-          </select>
+          <label>${tHtml('translateTo')}</label>
+          <select data-oa-opt="translateTargetLang"></select>
         </div>
         <div class="oa-tts-actions">
-          <button type="button" class="oa-btn-tts" data-oa-translate-selection aria-label="Translate selection">Translate selection</button>
-          <button type="button" class="oa-btn-tts" data-oa-translate-page aria-label="Translate page">Translate page</button>
+          <button type="button" class="oa-btn-tts" data-oa-translate-selection>${tHtml('translateSelection')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-translate-page>${tHtml('translatePage')}</button>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Text alignment</div>
+        <div class="oa-section-title">${tHtml('textAlignment')}</div>
         <div class="oa-opt">
-          <select data-oa-opt="textAlign">
-            <option value="">Default</option>
-            <option value="left">Left</option>
-            <option value="center">Center</option>
-            <option value="right">Right</option>
-            <option value="justify">Justify</option>
+          <select data-oa-opt="textAlign" aria-label="${tHtml('textAlignment')}">
+            <option value="">${tHtml('alignDefault')}</option>
+            <option value="left">${tHtml('alignLeft')}</option>
+            <option value="center">${tHtml('alignCenter')}</option>
+            <option value="right">${tHtml('alignRight')}</option>
+            <option value="justify">${tHtml('alignJustify')}</option>
           </select>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Language</div>
+        <div class="oa-section-title">${tHtml('language')}</div>
         <div class="oa-opt">
-          <select data-oa-opt="language">
-            <option value="">Default</option>
-            <option value="en">English</option>
-            <option value="es">Spanish</option>
-            <option value="fr">French</option>
-            <option value="de">German</option>
-            <option value="it">Italian</option>
-            <option value="pt">Portuguese</option>
-            <option value="ar">Arabic</option>
-            <option value="zh">Chinese</option>
-            <option value="ja">Japanese</option>
-            <option value="ko">Korean</option>
-          </select>
+          <select data-oa-opt="language" aria-label="${tHtml('language')}"></select>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Presets</div>
+        <div class="oa-section-title">${tHtml('presets')}</div>
         <div class="oa-preset-select-wrap">
-          <select data-oa-preset-select aria-label="Apply preset">
-            <option value="">Apply a preset…</option>
-            <option value="high-contrast">High contrast</option>
-            <option value="reading">Reading</option>
-            <option value="minimal">Minimal</option>
-            <option value="focus">Focus &amp; visibility</option>
+          <select data-oa-preset-select aria-label="${tHtml('applyPreset')}">
+            <option value="">${tHtml('applyPresetPlaceholder')}</option>
           </select>
         </div>
         <div class="oa-tts-actions" style="margin-top:8px">
-          <button type="button" class="oa-btn-tts" data-oa-preset-spacing>More spacing</button>
-          <button type="button" class="oa-btn-tts" data-oa-preset-contrast>High contrast</button>
+          <button type="button" class="oa-btn-tts" data-oa-preset-spacing>${tHtml('moreSpacing')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-preset-contrast>${tHtml('highContrast')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-preset-manager aria-haspopup="dialog">${tHtml('managePresets')}</button>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Navigation</div>
+        <div class="oa-section-title">${tHtml('navigation')}</div>
         <div class="oa-tts-actions">
-          <button type="button" class="oa-btn-tts" data-oa-headings>Headings</button>
-          <button type="button" class="oa-btn-tts" data-oa-images>Image descriptions</button>
+          <button type="button" class="oa-btn-tts" data-oa-headings>${tHtml('headingsList')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-images>${tHtml('imageDescriptions')}</button>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Visibility &amp; focus</div>
+        <div class="oa-section-title">${tHtml('visibilityFocus')}</div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="enlargeFocus" id="oa-enlarge-focus">
-          <label for="oa-enlarge-focus">Enlarge focus indicator</label>
+          <label for="oa-enlarge-focus">${tHtml('enlargeFocus')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="showLinkUrl" id="oa-show-link-url">
-          <label for="oa-show-link-url">Show link URL on focus</label>
+          <label for="oa-show-link-url">${tHtml('showLinkUrl')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="reduceTransparency" id="oa-reduce-transparency">
-          <label for="oa-reduce-transparency">Reduce transparency</label>
+          <label for="oa-reduce-transparency">${tHtml('reduceTransparency')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="highlightForms" id="oa-highlight-forms">
-          <label for="oa-highlight-forms">Highlight form fields</label>
+          <label for="oa-highlight-forms">${tHtml('highlightForms')}</label>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Layout</div>
+        <div class="oa-section-title">${tHtml('layout')}</div>
         <div class="oa-opt">
-          <label>Content width</label>
+          <label>${tHtml('contentWidth')}</label>
           <select data-oa-opt="contentWidth">
-            <option value="full">Full</option>
-            <option value="narrow">Narrow (65ch)</option>
-            <option value="narrower">Narrower (45ch)</option>
+            <option value="full">${tHtml('full')}</option>
+            <option value="narrow">${tHtml('narrow')}</option>
+            <option value="narrower">${tHtml('narrower')}</option>
           </select>
         </div>
+        <div class="oa-opt">
+          <input type="checkbox" data-oa-opt="reflow" id="oa-reflow">
+          <label for="oa-reflow">${tHtml('reflow')}</label>
+        </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">More</div>
+        <div class="oa-section-title">${tHtml('more')}</div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="monospaceFont" id="oa-mono">
-          <label for="oa-mono">Monospace font</label>
+          <label for="oa-mono">${tHtml('monospace')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="focusStrip" id="oa-focus-strip">
-          <label for="oa-focus-strip">Focus strip (dim except line)</label>
+          <label for="oa-focus-strip">${tHtml('focusStrip')}</label>
+        </div>
+        <div class="oa-opt">
+          <label for="oa-focus-strip-height">${tHtml('focusStripHeight')}</label>
+          <input type="range" data-oa-opt="focusStripHeight" id="oa-focus-strip-height" min="40" max="400" step="10" value="120">
+          <span data-oa-mask-height-value>120px</span>
+        </div>
+        <div class="oa-opt">
+          <label for="oa-focus-strip-opacity">${tHtml('focusStripOpacity')}</label>
+          <input type="range" data-oa-opt="focusStripOpacity" id="oa-focus-strip-opacity" min="0.1" max="0.9" step="0.05" value="0.55">
+          <span data-oa-mask-opacity-value>55%</span>
+        </div>
+        <div class="oa-opt oa-mask-row">
+          <label for="oa-focus-strip-color">${tHtml('focusStripColor')}</label>
+          <input type="color" data-oa-opt="focusStripColor" id="oa-focus-strip-color" value="#000000">
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="reduceMotion" id="oa-motion">
-          <label for="oa-motion">Reduce motion</label>
+          <label for="oa-motion">${tHtml('reduceMotion')}</label>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="readingGuide" id="oa-guide">
-          <label for="oa-guide">Reading guide</label>
+          <label for="oa-guide">${tHtml('readingGuide')}</label>
+        </div>
+        <div class="oa-opt">
+          <label for="oa-guide-follow">${tHtml('readingGuideFollow')}</label>
+          <select data-oa-opt="readingGuideFollow" id="oa-guide-follow">
+            <option value="pointer">${tHtml('followPointer')}</option>
+            <option value="caret">${tHtml('followCaret')}</option>
+            <option value="none">${tHtml('followNone')}</option>
+          </select>
         </div>
         <div class="oa-opt">
           <input type="checkbox" data-oa-opt="screenReaderHints" id="oa-sr" checked>
-          <label for="oa-sr">Screen reader / Braille hints</label>
+          <label for="oa-sr">${tHtml('screenReaderHints')}</label>
+        </div>
+        <div class="oa-opt">
+          <input type="checkbox" data-oa-opt="followSystem" id="oa-follow-system">
+          <label for="oa-follow-system">${tHtml('followSystem')}</label>
         </div>
         <div class="oa-opt">
-          <label>Toolbar position</label>
+          <label>${tHtml('toolbarPosition')}</label>
           <select data-oa-opt="toolbarPosition">
-            <option value="bottom-right">Bottom right</option>
-            <option value="bottom-left">Bottom left</option>
-            <option value="top-right">Top right</option>
-            <option value="top-left">Top left</option>
+            <option value="bottom-right">${tHtml(rtl ? 'bottomLeft' : 'bottomRight')}</option>
+            <option value="bottom-left">${tHtml(rtl ? 'bottomRight' : 'bottomLeft')}</option>
+            <option value="top-right">${tHtml(rtl ? 'topLeft' : 'topRight')}</option>
+            <option value="top-left">${tHtml(rtl ? 'topRight' : 'topLeft')}</option>
           </select>
         </div>
       </div>
 
       <div class="oa-section">
-        <div class="oa-section-title">Settings</div>
+        <div class="oa-section-title">${tHtml('settings')}</div>
+        <div class="oa-opt" data-oa-profile-wrap${activeProfile ? '' : ' style="display:none"'}>
+          <label for="oa-profile-scope">${tHtml('profileScope')}</label>
+          <select id="oa-profile-scope" data-oa-profile-scope>
+            <option value="global">${tHtml('profileEverywhere')}</option>
+            <option value="section">${activeProfile ? tHtml('profileSection', { name: activeProfile.name }) : ''}</option>
+          </select>
+        </div>
         <div class="oa-tts-actions">
-          <button type="button" class="oa-btn-tts" data-oa-export>Export settings</button>
-          <button type="button" class="oa-btn-tts" data-oa-import>Import settings</button>
-          <button type="button" class="oa-btn-tts" data-oa-shortcuts aria-label="Keyboard shortcuts">Keyboard shortcuts</button>
-          <button type="button" class="oa-btn-tts" data-oa-about aria-label="About">About</button>
+          <button type="button" class="oa-btn-tts" data-oa-undo aria-keyshortcuts="Control+Z" disabled>${tHtml('undo')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-redo aria-keyshortcuts="Control+Shift+Z" disabled>${tHtml('redo')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-export>${tHtml('exportSettings')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-import>${tHtml('importSettings')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-share>${tHtml('copyShareLink')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-shortcuts>${tHtml('keyboardShortcuts')}</button>
+          <button type="button" class="oa-btn-tts" data-oa-about>${tHtml('about')}</button>
         </div>
         <input type="file" accept=".json,application/json" data-oa-import-file style="display:none">
-        <p class="oa-shortcut-hint" style="margin:8px 0 0;font-size:12px;color:#64748b;">Keyboard: Windows Alt+A, Mac Option+A to open/close. Escape to close. Tab to move, Enter or Space to activate. In panel: R = Read page, S = Stop.</p>
+        <p class="oa-shortcut-hint" style="margin:8px 0 0;font-size:12px;color:#64748b;">${tHtml('shortcutHint')}</p>
       </div>
 
       <div class="oa-section">
-        <button type="button" class="oa-reset" data-oa-reset>Reset all</button>
+        <button type="button" class="oa-reset" data-oa-reset>${tHtml('resetAll')}</button>
       </div>
       </div>
       <div class="oa-panel-footer" id="oa-panel-footer">
-        <a href="https://openaccessible.com" target="_blank" rel="noopener noreferrer">Powered by OpenAccessible</a>
-        <div class="oa-account-badge oa-account-badge-hidden" id="oa-account-badge" aria-hidden="true">Account linked</div>
+        <a href="https://openaccessible.com" target="_blank" rel="noopener noreferrer">${tHtml('poweredBy')}</a>
+        <div class="oa-account-badge oa-account-badge-hidden" id="oa-account-badge" aria-hidden="true">${tHtml('accountLinked')}</div>
       </div>
     `;
 
@@ -2148,27 +5281,38 @@ contentWidth: 'full',          // full | narrow | narrower
     $panel.querySelector('[data-oa-translate-page]').addEventListener('click', translatePage);
     $panel.querySelector('[data-oa-preset-spacing]').addEventListener('click', applyMoreSpacingPreset);
     $panel.querySelector('[data-oa-preset-contrast]').addEventListener('click', applyHighContrastPreset);
+    $panel.querySelector('[data-oa-preset-manager]').addEventListener('click', showPresetManager);
     var presetSelect = $panel.querySelector('[data-oa-preset-select]');
     if (presetSelect) {
       presetSelect.addEventListener('change', function () {
         var val = this.value;
         if (val) { applyPreset(val); this.value = ''; }
       });
-      function fillPresetSelect() {
-        var opts = presetSelect.querySelectorAll('option');
-        for (var i = opts.length - 1; i >= 1; i--) opts[i].remove();
-        getSavedPresets().forEach(function (p) {
-          var o = document.createElement('option');
-          o.value = p.id;
-          o.textContent = p.name;
-          presetSelect.appendChild(o);
-        });
-      }
       fillPresetSelect();
     }
     $panel.querySelector('[data-oa-headings]').addEventListener('click', showHeadingsOutline);
     $panel.querySelector('[data-oa-images]').addEventListener('click', showImageDescriptions);
+    var profileSelect = $panel.querySelector('[data-oa-profile-scope]');
+    syncProfileScopeControl();
+    profileSelect.addEventListener('change', function () { setProfileScope(this.value); });
+    $panel.querySelector('[data-oa-undo]').addEventListener('click', undo);
+    $panel.querySelector('[data-oa-redo]').addEventListener('click', redo);
+    syncHistoryButtons();
+    $panel.querySelectorAll('[data-oa-theme-swatch]').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var id = btn.getAttribute('data-oa-theme-swatch');
+        updateState(THEME_SWATCHES.find(function (sw) { return sw.id === id; }).colors);
+      });
+    });
+    $panel.querySelector('[data-oa-theme-clear]').addEventListener('click', function () {
+      var patch = {};
+      Object.keys(THEME_KEYS).forEach(function (key) { patch[key] = ''; });
+      updateState(patch);
+    });
+    var spacingTest = $panel.querySelector('[data-oa-opt="textSpacingTest"]');
+    if (spacingTest) spacingTest.addEventListener('change', syncSpacingControls);
     $panel.querySelector('[data-oa-export]').addEventListener('click', exportSettings);
+    $panel.querySelector('[data-oa-share]').addEventListener('click', copyShareLink);
     $panel.querySelector('[data-oa-import]').addEventListener('click', function () { $panel.querySelector('[data-oa-import-file]').click(); });
 $panel.querySelector('[data-oa-import-file]').addEventListener('change', importSettingsFromFile);
     var shortcutsBtn = $panel.querySelector('[data-oa-shortcuts]');
@@ -2179,9 +5323,17 @@ $panel.querySelector('[data-oa-import-file]').addEventListener('change', importS
     $panel.querySelectorAll('input, select').forEach(el => {
       el.addEventListener('change', applyFromPanel);
       el.addEventListener('input', function () {
+        if (this.type === 'color' && THEME_KEYS[this.dataset.oaOpt]) {
+          this.setAttribute('data-oa-theme-set', '1');
+          updateThemeReadouts();
+        }
         if (this.type === 'range') {
           const v = this.dataset.oaOpt;
           if (v === 'contrast') ($panel.querySelector('[data-oa-contrast-value]') || {}).textContent = this.value;
+          if (v === 'colorCorrectionStrength') ($panel.querySelector('[data-oa-correction-value]') || {}).textContent = this.value + '%';
+          if (v === 'saturation' || v === 'brightness' || v === 'hueRotate') updateFilterReadouts();
+          if (TEXT_SPACING[v]) syncSpacingControls();
+          if (v === 'focusStripHeight' || v === 'focusStripOpacity') updateMaskReadouts();
           if (v === 'fontSize') ($panel.querySelector('[data-oa-font-value]') || {}).textContent = this.value;
         }
         applyFromPanel();
@@ -2189,14 +5341,14 @@ $panel.querySelector('[data-oa-import-file]').addEventListener('change', importS
     });
 
     document.body.appendChild($panel);
-    if (state.dyslexiaFont) $panel.classList.add('oa-dyslexia');
+    applyFontFamily($panel);
 
     const voiceSelect = $panel.querySelector('[data-oa-opt="ttsVoice"]');
     if (voiceSelect && global.speechSynthesis) {
       // Populate voice dropdown: sort by language, group in optgroups, preserve selection
       function fillVoices() {
         const voices = global.speechSynthesis.getVoices().slice();
-        voiceSelect.innerHTML = '<option value="">Default</option>';
+        voiceSelect.innerHTML = '<option value="">' + tHtml('defaultVoice') + '</option>';
         if (voices.length === 0) return;
         voices.sort(function (a, b) {
           const la = (a.lang || '').toLowerCase();
@@ -2241,11 +5393,27 @@ $panel.querySelector('[data-oa-import-file]').addEventListener('change', importS
     var testVoiceBtn = $panel.querySelector('[data-oa-test-voice]');
     if (testVoiceBtn) testVoiceBtn.addEventListener('click', testVoice);
 
+    applyPanelKeyPolicy();
     syncPanelFromState();
     updateFooterAccountBadge();
     return $panel;
   }
 
+  // Replace the panel with a freshly rendered one (e.g. after a locale switch), keeping it open if it was.
+  function rebuildPanel() {
+    if (!$panel) return;
+    var wasOpen = $panel.style.display === 'block';
+    $panel.remove();
+    $panel = null;
+    createPanel();
+    $panel.style.display = wasOpen ? 'block' : 'none';
+    if (wasOpen) {
+      setupPanelFocusTrap($panel);
+      var first = $panel.querySelector('.oa-close, [data-oa-opt]');
+      if (first && first.focus) first.focus();
+    }
+  }
+
   // --- Check OpenAccessible.com for valid account/token and show "Account linked" in footer ---
   // Verify apiKey with account endpoint and set hasOpenAccessibleAccount for footer badge.
   function checkOpenAccessibleAccount() {
@@ -2285,12 +5453,14 @@ $panel.querySelector('[data-oa-import-file]').addEventListener('change', importS
     bar.className = 'oa-toolbar';
     bar.setAttribute('data-pos', pos);
     bar.setAttribute('role', 'toolbar');
-    bar.setAttribute('aria-label', 'Accessibility');
+    bar.setAttribute('aria-label', t('panelTitle'));
+    bar.setAttribute('lang', localeCode);
+    bar.setAttribute('dir', widgetDir);
     const btn = document.createElement('button');
     btn.type = 'button';
     btn.className = 'oa-toolbar-btn';
-    btn.setAttribute('aria-label', 'Open accessibility settings');
-    btn.setAttribute('title', 'Accessibility');
+    btn.setAttribute('aria-label', t('openPanel'));
+    btn.setAttribute('title', t('panelTitle'));
     btn.setAttribute('data-oa-open', '');
     btn.appendChild(renderIcon('oa-icon'));
     btn.addEventListener('click', function () {
@@ -2308,7 +5478,7 @@ $panel.querySelector('[data-oa-import-file]').addEventListener('change', importS
     var sel = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
     return Array.prototype.filter.call(panel.querySelectorAll(sel), function (el) { return el.offsetParent !== null || el === document.activeElement; });
   }
-  // Trap focus inside panel (Tab wraps last→first, Shift+Tab first→last) and add R/S shortcuts for Read/Stop.
+  // Trap focus inside panel (Tab wraps last→first, Shift+Tab first→last) and add R/S shortcuts for Read/Stop and Ctrl+Z/Ctrl+Shift+Z for undo/redo.
   function setupPanelFocusTrap(panel) {
     if (!panel || panel.getAttribute('data-oa-focus-trap') === 'true') return;
     panel.setAttribute('data-oa-focus-trap', 'true');
@@ -2328,6 +5498,12 @@ $panel.querySelector('[data-oa-import-file]').addEventListener('change', importS
         }
         return;
       }
+      var inTextField = target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && /^(text|search|url|email|number)$/.test(target.type)));
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && !inTextField && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo(); else undo();
+        return;
+      }
       if (!inInput && !e.ctrlKey && !e.metaKey && !e.altKey) {
         var k = e.key.toLowerCase();
         if (k === 'r') { e.preventDefault(); readPageWithTTS(); return; }
@@ -2356,7 +5532,11 @@ $panel.querySelector('[data-oa-import-file]').addEventListener('change', importS
 
   // Reset all preferences to defaults, re-apply, and sync panel.
   function reset() {
-    state = { ...defaultState };
+    var before = snapshotState();
+    state = { ...defaultState, guestMode: state.guestMode };
+    recordHistory(before);
+    sharedValues = {};
+    userTouchedKeys = {};
     writeStorage();
     applyToDocument();
     syncPanelFromState();
@@ -2512,7 +5692,7 @@ if (!global.speechSynthesis) return;
     const sel = global.getSelection();
     const text = (sel && sel.toString() || '').trim();
     if (!text) {
-      showTooltip(null, 'Select some text first, then click Speak selection.');
+      showTooltip(null, t('selectTextToSpeak'));
       return;
     }
     stopTTS();
@@ -2534,7 +5714,7 @@ if (!global.speechSynthesis) return;
   function testVoice() {
     if (!global.speechSynthesis) return;
     global.speechSynthesis.cancel();
-    var sample = 'This is a sample of the selected voice.';
+    var sample = t('voiceSample');
     var u = new SpeechSynthesisUtterance(sample);
     applyTtsOptionsToUtterance(u);
     global.speechSynthesis.speak(u);
@@ -2622,11 +5802,15 @@ if (!global.speechSynthesis) return;
     hideSelectionBar();
     const bar = document.createElement('div');
     bar.className = 'oa-selection-bar';
-    bar.innerHTML = '<button type="button" class="oa-btn-bar" data-oa-bar-speak>Speak</button><button type="button" class="oa-btn-bar" data-oa-bar-translate>Translate</button>';
+    bar.setAttribute('lang', localeCode);
+    bar.setAttribute('dir', widgetDir);
+    bar.innerHTML = '<button type="button" class="oa-btn-bar" data-oa-bar-speak>' + tHtml('speak') + '</button>' +
+      (hiddenKeys.indexOf('translateTargetLang') === -1 ? '<button type="button" class="oa-btn-bar" data-oa-bar-translate>' + tHtml('translate') + '</button>' : '');
     bar.style.left = Math.max(10, Math.min(x - 80, global.innerWidth - 200)) + 'px';
     bar.style.top = (y - 48) + 'px';
     bar.querySelector('[data-oa-bar-speak]').addEventListener('click', function () { speakSelection(); hideSelectionBar(); });
-    bar.querySelector('[data-oa-bar-translate]').addEventListener('click', function () { translateSelection(); hideSelectionBar(); });
+    var translateBtn = bar.querySelector('[data-oa-bar-translate]');
+    if (translateBtn) translateBtn.addEventListener('click', function () { translateSelection(); hideSelectionBar(); });
     document.body.appendChild(bar);
     selectionBarEl = bar;
   }
@@ -2673,8 +5857,9 @@ if (!global.speechSynthesis) return;
     const wrap = document.createElement('div');
     wrap.className = 'oa-reading-view';
     wrap.setAttribute('role', 'dialog');
-    wrap.setAttribute('aria-label', 'Reading view');
-    const html = ['<h4>Reading</h4><button type="button" class="oa-reading-view-close" aria-label="Close">×</button><div class="oa-reading-content">'];
+    wrap.setAttribute('aria-label', t('readingView'));
+    wrap.setAttribute('dir', widgetDir);
+    const html = ['<h4>' + tHtml('readingViewTitle') + '</h4><button type="button" class="oa-reading-view-close" aria-label="' + tHtml('close') + '">×</button><div class="oa-reading-content">'];
     words.forEach(function (w, i) {
       html.push('<span class="oa-word" data-oa-widx="' + i + '">' + escapeHtml(w) + '</span> ');
     });
@@ -2715,13 +5900,13 @@ if (!global.speechSynthesis) return;
     const sel = global.getSelection();
     const text = (sel && sel.toString() || '').trim();
     if (!text) {
-      showTooltip(null, 'Select text first, then click Translate selection.');
+      showTooltip(null, t('selectTextFirst'));
       return;
     }
     const lang = state.translateTargetLang || 'es';
     requestTranslate(text, lang, function (translated) {
       if (translated) showTooltip(sel.anchorNode, translated);
-      else showTooltip(sel.anchorNode, 'Translation unavailable. Set Translate to a language and try again.');
+      else showTooltip(sel.anchorNode, t('translationUnavailable'));
     });
   }
 
@@ -2732,7 +5917,7 @@ if (!global.speechSynthesis) return;
     if (!text) return;
     const lang = state.translateTargetLang || 'es';
     if (!lang) {
-      showTooltip(null, 'Choose a language under Translate to, then click Translate page.');
+      showTooltip(null, t('chooseLanguageFirst'));
       return;
     }
     emit('translate:start', { lang: lang, length: text.length });
@@ -2744,7 +5929,7 @@ if (!global.speechSynthesis) return;
       return;
     }
     requestTranslateChunked(text, lang, function (translated) {
-      if (!translated) { showTooltip(null, 'Translation failed.'); emit('translate:done', { lang: lang, error: true }); return; }
+      if (!translated) { showTooltip(null, t('translationFailed')); emit('translate:done', { lang: lang, error: true }); return; }
       showTranslatedPageOverlay(translated, lang);
       emit('translate:done', { lang: lang });
     });
@@ -2752,12 +5937,13 @@ if (!global.speechSynthesis) return;
 
   // Show overlay with translated text and close button.
   function showTranslatedPageOverlay(translated, lang) {
-    if (!translated) { showTooltip(null, 'Translation failed.'); return; }
+    if (!translated) { showTooltip(null, t('translationFailed')); return; }
     const overlay = document.createElement('div');
     overlay.className = 'oa-translate-overlay';
     overlay.setAttribute('role', 'dialog');
-    overlay.setAttribute('aria-label', 'Translated page');
-    overlay.innerHTML = '<h4>Translated page (' + lang + ')</h4><button type="button" class="oa-reading-view-close" aria-label="Close">×</button><div class="oa-translated-text"></div>';
+    overlay.setAttribute('aria-label', t('translatedPage'));
+    overlay.setAttribute('dir', widgetDir);
+    overlay.innerHTML = '<h4>' + tHtml('translatedPageTitle', { lang: lang }) + '</h4><button type="button" class="oa-reading-view-close" aria-label="' + tHtml('close') + '">×</button><div class="oa-translated-text"></div>';
     overlay.querySelector('.oa-translated-text').textContent = translated;
     overlay.querySelector('.oa-reading-view-close').addEventListener('click', function () { overlay.remove(); });
     document.body.appendChild(overlay);
@@ -2867,41 +6053,29 @@ if (!global.speechSynthesis) return;
     tryOssTranslate();
   }
 
-  // Apply preset: wider letter/line/word spacing.
+  // Apply preset: wider letter/line/word spacing (through updateState, like any user change).
   function applyMoreSpacingPreset() {
-    state.letterSpacing = 'wide';
-    state.lineHeight = 'relaxed';
-    state.wordSpacing = 'wide';
-    writeStorage();
-    applyToDocument();
-    if ($panel) syncPanelFromState();
-    syncApiPreferences('save');
+    updateState({ letterSpacing: 0.12, lineHeight: 1.6, wordSpacing: 0.2 });
   }
 
-  // Apply preset: dark color filter, higher contrast, focus highlights.
+  // Apply preset: dark color filter, higher contrast, focus highlights (through updateState; locked keys are skipped).
   function applyHighContrastPreset() {
-    state.colorFilter = 'dark';
-    state.contrast = 1.3;
-    state.highlightFocus = true;
-    state.enlargeFocus = true;
-    writeStorage();
-    applyToDocument();
-    if ($panel) syncPanelFromState();
-    syncApiPreferences('save');
+    updateState({ colorFilter: 'dark', contrast: 1.3, highlightFocus: true, enlargeFocus: true });
   }
 
   // Show overlay listing all h1–h6 with links to scroll to each.
   function showHeadingsOutline() {
     var headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
     if (headings.length === 0) {
-      showTooltip(null, 'No headings found on this page.');
+      showTooltip(null, t('noHeadings'));
       return;
     }
     var overlay = document.createElement('div');
     overlay.className = 'oa-translate-overlay';
     overlay.setAttribute('role', 'dialog');
-    overlay.setAttribute('aria-label', 'Page headings');
-    var html = ['<h4>Headings</h4><button type="button" class="oa-reading-view-close" aria-label="Close">×</button><ul class="oa-overlay-list">'];
+    overlay.setAttribute('aria-label', t('pageHeadings'));
+    overlay.setAttribute('dir', widgetDir);
+    var html = ['<h4>' + tHtml('headingsList') + '</h4><button type="button" class="oa-reading-view-close" aria-label="' + tHtml('close') + '">×</button><ul class="oa-overlay-list">'];
     headings.forEach(function (h, i) {
       var tag = h.tagName.toLowerCase();
       var text = (h.textContent || '').trim().slice(0, 80);
@@ -2931,17 +6105,18 @@ if (!global.speechSynthesis) return;
     imgs.forEach(function (img, i) {
       var alt = img.getAttribute('alt');
       var src = (img.src || '').slice(-40);
-      list.push({ alt: alt === null ? '(no description)' : (alt || '(empty alt)'), src: src });
+      list.push({ alt: alt === null ? t('noDescription') : (alt || t('emptyAlt')), src: src });
     });
     if (list.length === 0) {
-      showTooltip(null, 'No images found on this page.');
+      showTooltip(null, t('noImages'));
       return;
     }
     var overlay = document.createElement('div');
     overlay.className = 'oa-translate-overlay';
     overlay.setAttribute('role', 'dialog');
-    overlay.setAttribute('aria-label', 'Image descriptions');
-    var html = ['<h4>Image descriptions</h4><button type="button" class="oa-reading-view-close" aria-label="Close">×</button><ul class="oa-overlay-list">'];
+    overlay.setAttribute('aria-label', t('imageDescriptions'));
+    overlay.setAttribute('dir', widgetDir);
+    var html = ['<h4>' + tHtml('imageDescriptions') + '</h4><button type="button" class="oa-reading-view-close" aria-label="' + tHtml('close') + '">×</button><ul class="oa-overlay-list">'];
     list.forEach(function (item) {
       html.push('<li>' + escapeHtml(item.alt) + ' <span style="font-size:11px;color:#94a3b8;">' + escapeHtml(item.src) + '</span></li>');
     });
@@ -2951,18 +6126,21 @@ if (!global.speechSynthesis) return;
     document.body.appendChild(overlay);
   }
 
-  // Export current state as JSON file download.
+  // Export current state as JSON file download (same shape as the stored preferences).
   function exportSettings() {
-    var blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
+    var data = { schemaVersion: STATE_SCHEMA_VERSION, ...getUserState(), userKeys: Object.keys(userTouchedKeys) };
+    PROTECTED_STATE_KEYS.forEach(function (k) { delete data[k]; });
+    var blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     var a = document.createElement('a');
     a.href = URL.createObjectURL(blob);
     a.download = 'openaccessible-settings.json';
     a.click();
     URL.revokeObjectURL(a.href);
-    showTooltip(null, 'Settings exported.');
+    showTooltip(null, t('settingsExported'));
   }
 
-  // Read selected JSON file and merge into state; re-apply and sync panel.
+  // Read selected JSON file, migrate it and replace state through updateState (unset keys fall back to defaults).
+  // A preset pack picked here is merged into the user presets instead (same id or name is overwritten).
   function importSettingsFromFile(e) {
     var file = e.target.files[0];
     if (!file) return;
@@ -2970,22 +6148,152 @@ if (!global.speechSynthesis) return;
     r.onload = function () {
       try {
         var data = JSON.parse(r.result);
-        if (data && typeof data === 'object') {
-          state = { ...defaultState, ...data };
-          writeStorage();
-          applyToDocument();
-          if ($panel) syncPanelFromState();
-          syncApiPreferences('save');
-          showTooltip(null, 'Settings imported.');
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('not an object');
+        if (data.format === PRESET_PACK_FORMAT) {
+          var packResult = importPresetPack(data);
+          if (!packResult.ok) throw new Error(packResult.error);
+          showTooltip(null, t('presetPackResult', { added: packResult.added.length, updated: packResult.updated.length, skipped: packResult.skipped.length + packResult.rejected.length }));
+          e.target.value = '';
+          return;
         }
+        var imported = migrateState(data, data.schemaVersion);
+        delete imported.userKeys;
+        userTouchedKeys = readUserKeys(data);
+        var result = updateState(imported, { replace: true });
+        result.rejected.forEach(function (x) {
+          if (PROTECTED_STATE_KEYS.indexOf(x.key) === -1) console.warn('OpenAccessible: ignoring ' + x.reason + ' setting ' + x.key + ' ' + JSON.stringify(x.value) + ' from ' + file.name + '.');
+        });
+        showTooltip(null, t('settingsImported'));
       } catch (_) {
-        showTooltip(null, 'Invalid settings file.');
+        showTooltip(null, t('invalidSettingsFile'));
       }
       e.target.value = '';
     };
     r.readAsText(file);
   }
 
+  // --- Share links: ?oa=preset:<id> or ?oa=state:<base64url JSON> (query or #fragment) ---
+  // Encode the settings that differ from defaults, and the explicitly chosen keys, as a compact base64url string.
+  function encodeShareState() {
+    var diff = { schemaVersion: STATE_SCHEMA_VERSION };
+    var userState = getUserState();
+    Object.keys(STATE_SCHEMA).forEach(function (k) {
+      if (PROTECTED_STATE_KEYS.indexOf(k) === -1 && userState[k] !== defaultState[k]) diff[k] = userState[k];
+    });
+    if (Object.keys(userTouchedKeys).length) diff.userKeys = Object.keys(userTouchedKeys);
+    return btoa(unescape(encodeURIComponent(JSON.stringify(diff)))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Decode encodeShareState() output back to a (migrated) state patch; null when malformed.
+  function decodeShareState(encoded) {
+    try {
+      var b64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+      while (b64.length % 4) b64 += '=';
+      var data = JSON.parse(decodeURIComponent(escape(atob(b64))));
+      if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+      return migrateState(data, data.schemaVersion);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Return the oa parameter from the page URL (query wins over fragment), or ''.
+  function readShareParam() {
+    try {
+      var fromQuery = new URLSearchParams(global.location.search).get('oa');
+      if (fromQuery) return fromQuery;
+      return new URLSearchParams(global.location.hash.replace(/^#/, '')).get('oa') || '';
+    } catch (_) {
+      return '';
+    }
+  }
+
+  // Return a URL object for href without any oa parameter in its query or fragment.
+  function withoutShareParam(href) {
+    var url = new URL(href);
+    url.searchParams.delete('oa');
+    var hashParams = new URLSearchParams(url.hash.replace(/^#/, ''));
+    if (hashParams.has('oa')) {
+      hashParams.delete('oa');
+      url.hash = hashParams.toString();
+    }
+    return url;
+  }
+
+  // Remove the oa parameter from the address bar (after persisting, so a reload does not re-apply it).
+  function stripShareParam() {
+    try {
+      global.history.replaceState(global.history.state, '', withoutShareParam(global.location.href).toString());
+    } catch (_) {}
+  }
+
+  // Apply a shared preset or state from the URL through updateState; returns the updateState result, or null when there is no valid oa parameter.
+  function applyShareLink() {
+    var param = shareLinksEnabled ? readShareParam() : '';
+    var sep = param.indexOf(':');
+    var kind = sep === -1 ? '' : param.slice(0, sep);
+    var value = sep === -1 ? '' : param.slice(sep + 1);
+    // Hosts may use oa for their own purposes: anything but preset:/state: is not ours and is left alone silently.
+    if (kind !== 'preset' && kind !== 'state') return null;
+    var patch = null;
+    var presetName = null;
+    if (kind === 'preset') {
+      var builtin = getAvailablePresets()[value];
+      var saved = builtin ? null : getSavedPresets().find(function (p) { return p.id === value || p.name === value; });
+      if (builtin || saved) {
+        patch = (builtin || saved).state;
+        presetName = (builtin || saved).name;
+      }
+    } else {
+      patch = decodeShareState(value);
+      if (!patch) {
+        console.warn('OpenAccessible: ignoring malformed share link settings oa=' + param + '.');
+        return null;
+      }
+      // Keys the sender chose explicitly but left at their default are shared as defaults, so no system value replaces them.
+      var chosen = readUserKeys(patch);
+      delete patch.userKeys;
+      Object.keys(chosen).forEach(function (k) { if (!patch.hasOwnProperty(k)) patch[k] = defaultState[k]; });
+      if (shareLinkPersist) Object.keys(chosen).forEach(function (k) { if (!lockedKeys.hasOwnProperty(k)) userTouchedKeys[k] = true; });
+    }
+    if (!patch) return null;
+    var result = updateState(patch, { persist: shareLinkPersist, presetName: presetName });
+    if (presetName) emit('preset:apply', { presetId: value, presetName: presetName });
+    if (shareLinkPersist) stripShareParam();
+    return result;
+  }
+
+  // Return a link to this page that opens with the current settings (or with preset id when given).
+  function getShareLink(presetId) {
+    var url = withoutShareParam(global.location.href);
+    url.searchParams.set('oa', presetId ? 'preset:' + presetId : 'state:' + encodeShareState());
+    return url.toString();
+  }
+
+  // Copy getShareLink() to the clipboard (Clipboard API, else a hidden textarea + execCommand) and confirm in a tooltip.
+  function copyShareLink() {
+    var link = getShareLink();
+    function fallback() {
+      var ok = false;
+      var ta = document.createElement('textarea');
+      ta.value = link;
+      ta.setAttribute('readonly', '');
+      ta.style.position = 'fixed';
+      ta.style.opacity = '0';
+      document.body.appendChild(ta);
+      ta.select();
+      try { ok = document.execCommand('copy'); } catch (_) {}
+      ta.remove();
+      showTooltip(null, t(ok ? 'shareLinkCopied' : 'shareLinkFailed'));
+    }
+    if (global.navigator && global.navigator.clipboard && global.navigator.clipboard.writeText) {
+      global.navigator.clipboard.writeText(link).then(function () { showTooltip(null, t('shareLinkCopied')); }, fallback);
+    } else {
+      fallback();
+    }
+    return link;
+  }
+
   // Attach or remove focusin listener for showing link URL in tooltip when showLinkUrl is on.
   function initLinkUrlOnFocus() {
     document.body.removeEventListener('focusin', onLinkFocusIn);
@@ -3019,7 +6327,7 @@ if (!global.speechSynthesis) return;
       e.stopPropagation();
       function showFallback() {
         var def = getLocalDefinition(text);
-        showWordModal(text, def || 'No definition found. Try the built-in list or set dictionaryApiUrl / apiBase.');
+        showWordModal(text, def || t('noDefinitionFound'));
       }
       function tryDictionaryApi(cb) {
         if (!dictionaryApiUrl) return cb();
@@ -3078,6 +6386,169 @@ if (!global.speechSynthesis) return;
     return BUILTIN_DICTIONARY[w] || null;
   }
 
+  // --- Easy read (simplifiedWords): swap difficult words under $root for SIMPLIFIED_WORDS entries; restored exactly when turned off ---
+  var SIMPLIFY_SKIP_SELECTOR = 'script, style, noscript, textarea, input, select, option, code, pre, kbd, samp, svg, [contenteditable=""], [contenteditable="true"], [data-oa-no-simplify], ' +
+    '#openaccessible-panel, #openaccessible-toolbar, .oa-reading-view, .oa-translate-overlay, .oa-word-modal-backdrop, .oa-selection-bar, .oa-simplified';
+  var simplifiedEntries = [];  // { original: Text, nodes: Node[] } for each page text node replaced while easy read is on
+  var simplifyPattern = null;
+  var simplifyObserver = null; // MutationObserver simplifying content the page adds while easy read is on
+  var simplifyPending = [];    // added nodes queued for the next batch
+  var simplifyTimer = null;    // timeout for the queued batch
+  var simplifyListening = false; // document keydown/focusin/click listeners for the words are attached
+
+  // Whole-word, case-insensitive pattern for every SIMPLIFIED_WORDS key (built once).
+  function getSimplifyPattern() {
+    if (!simplifyPattern) simplifyPattern = new RegExp('\\b(' + Object.keys(SIMPLIFIED_WORDS).join('|') + ')\\b', 'gi');
+    return simplifyPattern;
+  }
+
+  // Give replacement the capitalization of original (UPPER or Title case).
+  function matchWordCase(original, replacement) {
+    if (original.length > 1 && original === original.toUpperCase()) return replacement.toUpperCase();
+    if (original.charAt(0) !== original.charAt(0).toLowerCase()) return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    return replacement;
+  }
+
+  // Build the span for one difficult word: the simple word (or the original when only annotated) plus its definition. Words are
+  // focusable but out of the tab order; one of them holds the single tab stop (setSimplifiedTabStop).
+  function createSimplifiedWord(word) {
+    var entry = SIMPLIFIED_WORDS[word.toLowerCase()];
+    var span = document.createElement('span');
+    span.className = entry.simple ? 'oa-simplified' : 'oa-simplified oa-simplified-annotated';
+    span.tabIndex = -1;
+    span.textContent = entry.simple ? matchWordCase(word, entry.simple) : word;
+    var note = entry.simple ? t('simplifiedOriginal', { word: word }) + ' ' + entry.definition : entry.definition;
+    span.setAttribute('data-oa-definition', note);
+    span.setAttribute('aria-description', note);
+    return span;
+  }
+
+  // True for a page text node with a difficult word, outside widget UI, code and form fields.
+  function isSimplifiable(node) {
+    var parent = node.parentElement;
+    if (!parent || !node.nodeValue.trim() || parent.closest(SIMPLIFY_SKIP_SELECTOR)) return false;
+    var pattern = getSimplifyPattern();
+    pattern.lastIndex = 0;
+    return pattern.test(node.nodeValue);
+  }
+
+  // Replace difficult words in the text nodes of root (an element or a single text node).
+  function simplifyTree(root) {
+    var textNodes = [];
+    if (root.nodeType === 3) {
+      if (isSimplifiable(root)) textNodes.push(root);
+    } else {
+      var walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: function (node) { return isSimplifiable(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT; }
+      });
+      while (walker.nextNode()) textNodes.push(walker.currentNode);
+    }
+    var pattern = getSimplifyPattern();
+    textNodes.forEach(function (textNode) {
+      var text = textNode.nodeValue;
+      var created = [];
+      var last = 0;
+      var m;
+      pattern.lastIndex = 0;
+      while ((m = pattern.exec(text)) !== null) {
+        if (m.index > last) created.push(document.createTextNode(text.slice(last, m.index)));
+        created.push(createSimplifiedWord(m[0]));
+        last = m.index + m[0].length;
+      }
+      if (last < text.length) created.push(document.createTextNode(text.slice(last)));
+      var frag = document.createDocumentFragment();
+      created.forEach(function (n) { frag.appendChild(n); });
+      textNode.parentNode.replaceChild(frag, textNode);
+      simplifiedEntries.push({ original: textNode, nodes: created });
+    });
+  }
+
+  // Give span the only tab stop among the easy read words (roving tabindex); with no span, the first word on the page gets it
+  // unless one already has it.
+  function setSimplifiedTabStop(span) {
+    if (!span) {
+      if (document.querySelector('.oa-simplified[tabindex="0"]')) return;
+      span = document.querySelector('.oa-simplified');
+      if (!span) return;
+    }
+    document.querySelectorAll('.oa-simplified[tabindex="0"]').forEach(function (el) { el.tabIndex = -1; });
+    span.tabIndex = 0;
+  }
+
+  // Arrow keys move between easy read words (Home/End to the first/last), focus moves the tab stop along, and a click or tap
+  // toggles the definition of a word for touch users.
+  function onSimplifiedWordEvent(e) {
+    var span = e.target && e.target.closest ? e.target.closest('.oa-simplified') : null;
+    if (!span) return;
+    if (e.type === 'focusin') {
+      setSimplifiedTabStop(span);
+      return;
+    }
+    if (e.type === 'click') {
+      span.classList.toggle('oa-simplified-open');
+      return;
+    }
+    var words = Array.prototype.slice.call(document.querySelectorAll('.oa-simplified'));
+    var i = words.indexOf(span);
+    var target = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1, Home: 0, End: words.length - 1 }[e.key];
+    if (target === undefined || !words[target]) return;
+    e.preventDefault();
+    setSimplifiedTabStop(words[target]);
+    words[target].focus();
+  }
+
+  // Queue text and elements the page adds and simplify them in one batch (our own replacements hold nothing left to simplify).
+  function onSimplifyMutation(mutations) {
+    mutations.forEach(function (m) {
+      Array.prototype.forEach.call(m.addedNodes, function (node) {
+        if ((node.nodeType === 1 || node.nodeType === 3) && simplifyPending.indexOf(node) < 0) simplifyPending.push(node);
+      });
+    });
+    if (!simplifyPending.length || simplifyTimer) return;
+    simplifyTimer = global.setTimeout(function () {
+      var nodes = simplifyPending;
+      simplifyPending = [];
+      simplifyTimer = null;
+      if (!simplifyObserver) return;
+      nodes.forEach(function (node) { if (document.contains(node)) simplifyTree(node); });
+      simplifyObserver.takeRecords();
+      setSimplifiedTabStop(null);
+    }, RECOLOR_SCAN_MS);
+  }
+
+  // Replace difficult words under $root and keep doing so for added content; no-op while already applied.
+  function applySimplifiedWords() {
+    if (simplifyObserver || simplifiedEntries.length) return;
+    var container = ($root && $root !== document.documentElement) ? $root : document.body;
+    if (!container) return;
+    simplifyTree(container);
+    setSimplifiedTabStop(null);
+    if (!simplifyListening) {
+      ['keydown', 'focusin', 'click'].forEach(function (type) { document.addEventListener(type, onSimplifiedWordEvent); });
+      simplifyListening = true;
+    }
+    if (typeof MutationObserver !== 'undefined') {
+      simplifyObserver = new MutationObserver(onSimplifyMutation);
+      simplifyObserver.observe(container, { childList: true, subtree: true });
+    }
+  }
+
+  // Stop simplifying added content and put the original text nodes back in place of the easy read replacements.
+  function restoreSimplifiedWords() {
+    if (simplifyObserver) simplifyObserver.disconnect();
+    simplifyObserver = null;
+    if (simplifyTimer) global.clearTimeout(simplifyTimer);
+    simplifyTimer = null;
+    simplifyPending = [];
+    simplifiedEntries.forEach(function (entry) {
+      var anchor = entry.nodes.find(function (n) { return n.parentNode; });
+      if (!anchor) return;  // page removed the content meanwhile
+      anchor.parentNode.insertBefore(entry.original, anchor);
+      entry.nodes.forEach(function (n) { if (n.parentNode) n.parentNode.removeChild(n); });
+    });
+    simplifiedEntries = [];
+  }
+
   // --- Tooltip: short-lived popup (e.g. link URL on focus, export/import messages) ---
   // Show a temporary tooltip near element `near` (or top-left) with `text`; auto-remove after 6s.
   function showTooltip(near, text) {
@@ -3085,11 +6556,14 @@ if (!global.speechSynthesis) return;
     const tip = document.createElement('div');
     tip.id = id;
     tip.setAttribute('role', 'tooltip');
+    tip.setAttribute('dir', widgetDir);
     tip.style.cssText = 'position:fixed;max-width:280px;padding:10px 12px;background:#1a1a2e;color:#eee;border-radius:8px;font-size:14px;z-index:2147483647;box-shadow:0 4px 12px rgba(0,0,0,0.3);';
     tip.textContent = text;
     document.body.appendChild(tip);
-    const rect = (near && near.getBoundingClientRect) ? near.getBoundingClientRect() : { left: 100, top: 100 };
-    tip.style.left = Math.min(rect.left, global.innerWidth - 300) + 'px';
+    const rect = (near && near.getBoundingClientRect) ? near.getBoundingClientRect() : { left: 100, right: global.innerWidth - 100, top: 100, bottom: 100 };
+    // RTL tooltips hang from the right edge of the target (or viewport) instead of the left
+    if (widgetDir === 'rtl') tip.style.left = Math.max(8, rect.right - tip.offsetWidth) + 'px';
+    else tip.style.left = Math.min(rect.left, global.innerWidth - 300) + 'px';
     tip.style.top = (rect.top - tip.offsetHeight - 8) + 'px';
     if (tip.getBoundingClientRect().top < 0) tip.style.top = (rect.bottom + 8) + 'px';
     setTimeout(() => {
@@ -3142,21 +6616,22 @@ if (!global.speechSynthesis) return;
       root.setAttribute('role', 'dialog');
       root.setAttribute('aria-modal', 'true');
       root.setAttribute('aria-labelledby', 'oa-word-modal-title');
+      root.setAttribute('dir', widgetDir);
       var modal = document.createElement('div');
       modal.className = 'oa-word-modal';
       var wordDisplay = (word && String(word).trim()) ? escapeHtml(String(word).trim()) : '—';
-      var pronDisplay = (pronunciation && String(pronunciation).trim()) ? '<p class="oa-word-pronunciation" aria-label="Pronunciation">' + escapeHtml(String(pronunciation).trim()) + '</p>' : '';
-      var defDisplay = (definition && String(definition).trim()) ? escapeHtml(String(definition).trim()) : 'No definition available.';
+      var pronDisplay = (pronunciation && String(pronunciation).trim()) ? '<p class="oa-word-pronunciation" aria-label="' + tHtml('pronunciation') + '">' + escapeHtml(String(pronunciation).trim()) + '</p>' : '';
+      var defDisplay = (definition && String(definition).trim()) ? escapeHtml(String(definition).trim()) : tHtml('noDefinition');
       modal.innerHTML =
-        '<button type="button" class="oa-close-modal" aria-label="Close">\u00D7</button>' +
-        '<p class="oa-word-label">Word</p>' +
+        '<button type="button" class="oa-close-modal" aria-label="' + tHtml('close') + '">\u00D7</button>' +
+        '<p class="oa-word-label">' + tHtml('word') + '</p>' +
         '<h2 id="oa-word-modal-title">' + wordDisplay + '</h2>' +
         pronDisplay +
-        '<p class="oa-def-label">Definition</p>' +
+        '<p class="oa-def-label">' + tHtml('definition') + '</p>' +
         '<p class="oa-word-def">' + defDisplay + '</p>' +
         '<div class="oa-word-audio">' +
-        '<button type="button" class="oa-btn-audio" data-oa-speak-word aria-label="Play word">\u25B6 Play word</button>' +
-        '<button type="button" class="oa-btn-audio" data-oa-speak-def aria-label="Play definition">\u25B6 Play definition</button>' +
+        '<button type="button" class="oa-btn-audio" data-oa-speak-word aria-label="' + tHtml('playWord') + '">\u25B6 ' + tHtml('playWord') + '</button>' +
+        '<button type="button" class="oa-btn-audio" data-oa-speak-def aria-label="' + tHtml('playDefinition') + '">\u25B6 ' + tHtml('playDefinition') + '</button>' +
         '</div>';
     root.appendChild(modal);
     function closeModal() {
@@ -3190,15 +6665,26 @@ if (!global.speechSynthesis) return;
     return div.innerHTML;
   }
 
-  // --- Focus strip: dimmed overlay so only a band of content is visible ---
-  // Create and append the focus-strip overlay when state.focusStrip is true.
+  // escapeHtml plus double quotes, for values placed inside "..." attributes.
+  function escapeAttr(s) {
+    return escapeHtml(s == null ? '' : String(s)).replace(/"/g, '&quot;');
+  }
+
+  // --- Focus strip (reading mask): dims the page above and below a window centred on the reading line ---
+  // Create the mask overlay (once) and set its window height, opacity and tint from state.
   function ensureFocusStripMask() {
-    if (document.getElementById('openaccessible-focus-strip')) return;
-    const el = document.createElement('div');
-    el.id = 'openaccessible-focus-strip';
-    el.className = 'oa-focus-strip-mask';
-    el.setAttribute('aria-hidden', 'true');
-    document.body.appendChild(el);
+    let el = document.getElementById('openaccessible-focus-strip');
+    if (!el) {
+      el = document.createElement('div');
+      el.id = 'openaccessible-focus-strip';
+      el.className = 'oa-focus-strip-mask';
+      el.setAttribute('aria-hidden', 'true');
+      el.innerHTML = '<div class="oa-mask-top"></div><div class="oa-mask-bottom"></div>';
+      document.body.appendChild(el);
+    }
+    el.style.setProperty('--oa-mask-h', state.focusStripHeight + 'px');
+    el.style.setProperty('--oa-mask-opacity', String(state.focusStripOpacity));
+    el.style.setProperty('--oa-mask-color', state.focusStripColor || defaultState.focusStripColor);
   }
 
   // Remove the focus-strip overlay.
@@ -3207,13 +6693,116 @@ if (!global.speechSynthesis) return;
     if (el) el.remove();
   }
 
-  // --- Reading guide: CSS var --oa-guide-y follows scroll for highlight band ---
-  // Listen to scroll and update --oa-guide-y so the reading-guide band follows the viewport. 
+  // --- Reading guide: a ruler on the reading line, moved by the pointer or caret (readingGuideFollow), its handle or arrow keys ---
+  const READING_GUIDE_STEP = 24;  // px per arrow key press, about one line of body text
+
+  // Create the ruler with its slider handle (once), in the widget's direction. With only the reading mask on, just the handle is shown
+  // so the mask can still be moved by keyboard and touch.
+  function ensureReadingGuide() {
+    if (!readingGuideEl || !document.contains(readingGuideEl)) {
+      readingGuideEl = document.createElement('div');
+      readingGuideEl.id = 'openaccessible-reading-guide';
+      readingGuideEl.innerHTML = '<div class="oa-guide-handle" role="slider" tabindex="0" aria-orientation="vertical" aria-valuemin="0" aria-valuemax="100"></div>';
+      readingGuideEl.firstChild.addEventListener('keydown', onReadingGuideKey);
+      readingGuideEl.firstChild.addEventListener('pointerdown', onReadingGuideDrag);
+      document.body.appendChild(readingGuideEl);
+    }
+    readingGuideEl.setAttribute('dir', widgetDir);
+    readingGuideEl.classList.toggle('oa-guide-handle-only', !state.readingGuide);
+    readingGuideEl.firstChild.setAttribute('aria-label', t(state.readingGuide ? 'readingGuideHandle' : 'readingMaskHandle'));
+  }
+
+  // Remove the ruler and its handle.
+  function removeReadingGuide() {
+    if (readingGuideEl) readingGuideEl.remove();
+    readingGuideEl = null;
+  }
+
+  // Put the reading line of the guide and the mask window at viewport y (clamped to the viewport); no y keeps the current line,
+  // or starts at readingGuidePos (a third of the way down when 0).
+  function moveReadingGuide(y) {
+    var viewH = global.innerHeight || document.documentElement.clientHeight || 0;
+    if (y == null) y = readingGuideY != null ? readingGuideY : (state.readingGuidePos || viewH / 3);
+    readingGuideY = Math.round(Math.max(0, viewH ? Math.min(viewH, y) : y));
+    [readingGuideEl, document.getElementById('openaccessible-focus-strip')].forEach(function (el) {
+      if (el) el.style.setProperty('--oa-guide-y', readingGuideY + 'px');
+    });
+    if (!readingGuideEl) return;
+    var percent = viewH ? Math.round(readingGuideY / viewH * 100) : 0;
+    readingGuideEl.firstChild.setAttribute('aria-valuenow', String(percent));
+    readingGuideEl.firstChild.setAttribute('aria-valuetext', t('readingGuideValue', { percent: percent }));
+  }
+
+  // Handle keys: arrows move the line by READING_GUIDE_STEP, Page Up/Down by the mask window, Home/End to the viewport edges.
+  function onReadingGuideKey(e) {
+    var page = state.focusStrip ? state.focusStripHeight : READING_GUIDE_STEP * 5;
+    var moves = { ArrowUp: -READING_GUIDE_STEP, ArrowDown: READING_GUIDE_STEP, PageUp: -page, PageDown: page };
+    if (e.key === 'Home') moveReadingGuide(0);
+    else if (e.key === 'End') moveReadingGuide(global.innerHeight || 0);
+    else if (moves[e.key]) moveReadingGuide(readingGuideY + moves[e.key]);
+    else return;
+    e.preventDefault();
+  }
+
+  // Drag the handle (touch, pen or mouse): the line follows the pointer until it is released.
+  function onReadingGuideDrag(e) {
+    var handle = e.currentTarget;
+    e.preventDefault();
+    try { handle.setPointerCapture(e.pointerId); } catch (_) {}
+    function move(ev) { moveReadingGuide(ev.clientY); }
+    function end() {
+      handle.removeEventListener('pointermove', move);
+      handle.removeEventListener('pointerup', end);
+      handle.removeEventListener('pointercancel', end);
+    }
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
+  }
+
+  // Viewport y of the text caret (outside the widget UI), else of the focused page element; null when focus is in the widget UI or on nothing.
+  function caretLineY() {
+    var active = document.activeElement;
+    if (active && active.closest && active.closest(WIDGET_UI_SELECTOR)) return null;
+    var sel = global.getSelection ? global.getSelection() : null;
+    if (!(active && /^(INPUT|TEXTAREA|SELECT)$/.test(active.tagName)) && sel && sel.rangeCount && sel.focusNode) {
+      var node = sel.focusNode.nodeType === 1 ? sel.focusNode : sel.focusNode.parentElement;
+      if (node && !node.closest(WIDGET_UI_SELECTOR)) {
+        try {
+          var range = document.createRange();
+          range.setStart(sel.focusNode, sel.focusOffset);
+          range.collapse(true);
+          var rect = range.getClientRects()[0] || node.getBoundingClientRect();
+          if (rect && rect.height) return rect.top + rect.height / 2;
+        } catch (_) {}
+      }
+    }
+    if (!active || active === document.body || active === document.documentElement) return null;
+    var box = active.getBoundingClientRect();
+    // A tall control (textarea, editor) gets the line near its top rather than its middle.
+    return box.height > (global.innerHeight || 0) / 2 ? box.top + READING_GUIDE_STEP : box.top + box.height / 2;
+  }
+
+  // With readingGuideFollow 'caret', move the guide and mask to the caret (on selection, focus and scroll changes).
+  function followCaret() {
+    if (!(state.readingGuide || state.focusStrip) || state.readingGuideFollow !== 'caret') return;
+    var y = caretLineY();
+    if (y != null) moveReadingGuide(y);
+  }
+
+  // Listen for what moves the reading line: mouse and pen pointers (touch drags the handle instead), caret and focus changes, scrolling,
+  // and viewport resizes (which re-clamp the line).
   function initReadingGuide() {
-    document.addEventListener('scroll', function () {
-      if (!state.readingGuide) return;
-      document.documentElement.style.setProperty('--oa-guide-y', (global.scrollY + 80) + 'px');
+    document.addEventListener('pointermove', function (e) {
+      if (e.pointerType === 'touch' || state.readingGuideFollow !== 'pointer' || !(state.readingGuide || state.focusStrip)) return;
+      moveReadingGuide(e.clientY);
     }, { passive: true });
+    document.addEventListener('selectionchange', followCaret);
+    document.addEventListener('focusin', followCaret);
+    document.addEventListener('scroll', followCaret, { passive: true });
+    global.addEventListener('resize', function () {
+      if (state.readingGuide || state.focusStrip) moveReadingGuide();
+    });
   }
 
   // --- Skip link and main landmark for screen reader users ---
@@ -3225,7 +6814,7 @@ if (!global.speechSynthesis) return;
     skip = document.createElement('a');
     skip.id = 'openaccessible-skip';
     skip.href = '#openaccessible-main';
-    skip.textContent = 'Skip to main content';
+    skip.textContent = t('skipToContent');
     skip.style.cssText = 'position:absolute;left:-9999px;z-index:2147483647;padding:8px 16px;background:#0a7ea4;color:#fff;top:0;';
     skip.addEventListener('focus', function () { this.style.left = '8px'; this.style.top = '8px'; });
     skip.addEventListener('blur', function () { this.style.left = '-9999px'; });
@@ -3251,12 +6840,16 @@ if (!global.speechSynthesis) return;
     const url = apiBase.replace(/\?.*$/, '') + '?' + q.toString();
     const opts = { method: action === 'save' ? 'POST' : 'GET', headers: { 'Content-Type': 'application/json' } };
     if (apiKey) opts.headers['X-API-Key'] = apiKey;
-    if (action === 'save') opts.body = JSON.stringify({ ...state, user_id: apiUserId || undefined });
+    if (action === 'save') {
+      opts.body = JSON.stringify({ schemaVersion: STATE_SCHEMA_VERSION, ...getUserState(), userKeys: Object.keys(userTouchedKeys), user_id: apiUserId || undefined });
+    }
     fetch(url, opts)
       .then(r => r.json())
       .then(data => {
         if (action === 'load' && data && data.preferences) {
-          state = { ...defaultState, ...data.preferences };
+          state = { ...defaultState, ...normalizeStoredState(data.preferences, 'server preferences') };
+          sharedValues = {};
+          userTouchedKeys = readUserKeys(data.preferences);
           writeStorage();
           applyToDocument();
           if ($panel) syncPanelFromState();
@@ -3268,18 +6861,40 @@ if (!global.speechSynthesis) return;
   /**
    * @typedef {Object} OpenAccessibleAPI
    * @property {function():Object} getState - Returns a copy of current state.
-   * @property {function(Object)} setState - Merge object into state, apply to document, persist.
+   * @property {function(Object):{ok:boolean,applied:Object,rejected:Array}} setState - Validate, merge, apply, persist and emit change; rejected keys are not applied.
    * @property {function()} openPanel - Open the accessibility panel.
    * @property {function()} closePanel - Close the panel.
    * @property {function()} reset - Reset all settings to defaults.
    * @property {function()} stopTTS - Stop any playing TTS.
    * @property {function():Array} getPresets - Return user-saved presets.
-   * @property {function():Array} getBuiltinPresets - Return built-in preset id/name list.
+   * @property {function():Array} getBuiltinPresets - Return built-in and host preset { id, name, host } list (built-ins omitted with hideBuiltinPresets).
    * @property {function(string)} applyPreset - Apply preset by id or name.
    * @property {function(string):string|null} saveCurrentAsPreset - Save current state as named preset; returns preset id or null.
    * @property {function(string)} deletePreset - Delete user preset by id.
+   * @property {function()} showPresetManager - Open the preset manager dialog (create, rename, duplicate, edit keys, reorder, delete).
+   * @property {function(string,string):boolean} renamePreset - Rename a user preset.
+   * @property {function(string):string|null} duplicatePreset - Copy a built-in or user preset; returns the new id or null at the limit.
+   * @property {function(string,Object):Object|null} updatePresetState - Replace the keys a user preset sets (validated); returns the stored state.
+   * @property {function(string,number):boolean} movePreset - Move a user preset up (-1) or down (+1).
+   * @property {function(Object):Array} getPresetOverrides - Keys a preset state changes from the defaults: [{ key, value, defaultValue }].
+   * @property {function():Object} getContrastReport - What contrastFix changed: { level, fixed, unresolved, entries } (one entry per element).
+   * @property {function():Array} getSchedule - Scheduled presets in effect: [{ preset, from, to, days? }] (the user's, else config schedule).
+   * @property {function(Array):Array} setSchedule - Save the user's schedule (null = back to config schedule) and apply it; returns the saved rules.
+   * @property {function():Object} getScheduleStatus - { presetId, presetName, from, to, until, overridden, overrideUntil, nextChange }.
+   * @property {function():boolean} resumeSchedule - End a manual override and re-apply the preset scheduled now; true when one is scheduled.
+   * @property {function(Object=):Object} exportPresetPack - Preset pack object of the user presets (or options.ids).
+   * @property {function(Object,Object=):Object} importPresetPack - Import a pack; options { mode, onConflict }. Returns { ok, added, updated, skipped, rejected }.
    * @property {function()} showKeyboardShortcuts - Show keyboard shortcuts dialog.
    * @property {function()} showAbout - Show about dialog.
+   * @property {function():boolean} undo - Revert the last settings change (panel, preset, setState, import, reset); false when nothing to undo.
+   * @property {function():boolean} redo - Re-apply the last undone change; false when nothing to redo.
+   * @property {function(string=):string} getShareLink - URL of this page with ?oa=state:<encoded current settings>, or ?oa=preset:<id> when an id is given.
+   * @property {function():string} copyShareLink - Copy the current-settings share link to the clipboard; returns the link.
+   * @property {function():Array} getProfiles - List configured profiles: { id, name, active, saved }.
+   * @property {function(string=):number} clearProfile - Delete one profile's saved settings (all profiles when omitted); returns how many were removed.
+   * @property {function(string):boolean} setProfileScope - 'section' saves this page's settings to its profile only; 'global' removes the profile and saves everywhere.
+   * @property {function(string=):Promise<string>} setLocale - Load and switch the UI locale ('' = automatic); resolves with the active code.
+   * @property {function():string} getLocale - Return the active UI locale code.
    * @property {function(string,string,function)} translate - Request translation; callback receives translated text or null.
    * @property {function(Element=):Array} getHeadingsSummary - Return headings in root.
    * @property {function(Element=):Array} getImagesWithoutAlt - Return images with alt status.
@@ -3304,6 +6919,25 @@ if (!global.speechSynthesis) return;
    * - iconUrl (string): URL for toolbar icon (default: inline SVG).
    * - accountVerifyUrl (string): URL for account verification (footer badge).
    * - root (string|Element): Scope for applying styles (selector or element); default document.documentElement.
+   * - locale (string): UI locale code (e.g. 'de', 'pt-BR'); default is <html lang>, then navigator.languages, then English.
+   * - localeBaseUrl (string): Where locale files are loaded from; default locales/ next to widget.js.
+   * - fontBaseUrl (string): Where the bundled font files (OpenDyslexic, Atkinson Hyperlegible, Lexend) are loaded from; default fonts/ next to widget.js.
+   * - direction (string): 'ltr' or 'rtl' to force the widget UI direction; 'auto' (default) follows the UI locale and the page dir.
+   * - guestMode (boolean): If true, preferences are not read from or written to localStorage (setState cannot change this).
+   * - profiles (Array): Per-section settings, e.g. [{ id: 'docs', name: 'Docs', match: '/docs/' }, { id: 'app', match: ['/app/*', /^\/dashboard/] }].
+   *   match is a path prefix, a glob with *, a RegExp, or an array of those; the first matching profile is the page's section. The panel then offers
+   *   "This section only" vs "Everywhere"; section settings are stored under openaccessible_prefs:<id>.
+   * - presets (Array): Host presets [{ id, name, state }] shown with the built-in ones (same id replaces a built-in); state is validated like setState.
+   * - hideBuiltinPresets (boolean): If true, only host and user presets are offered (the quick "More spacing" / "High contrast" buttons are removed too).
+   * - schedule (Array): Presets applied by time of day, e.g. [{ preset: 'high-contrast', from: '19:00', to: '07:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] }].
+   *   from/to are 'HH:MM' (to earlier than from runs past midnight); days are 0-6 (Sunday = 0) or 'sun'..'sat', omitted = every day; the first matching entry wins.
+   *   A manual change lasts until the next start or end time. Users' own schedule (preset manager or api.setSchedule) replaces this one.
+   * - maxPresets (number): How many presets users can save (default 10). Lowering it keeps presets users already have; they cannot add more until they are under the limit.
+   * - lockedKeys (Array|Object): State keys users cannot change; an array pins them at their defaults, an object pins { key: value }. Their controls are disabled.
+   * - filterExclude (string): CSS selector of page elements (e.g. 'video, .player') that color filters leave alone, like elements with data-oa-no-filter.
+   * - hiddenKeys (Array): State keys whose controls are not rendered (sections with no controls left are removed); they stay at their defaults.
+   * - shareLinks (boolean): If false, ?oa= / #oa= share parameters are ignored. Default true.
+   * - shareLinkPersist (boolean): If false, share link settings apply to this page view only (not saved or undoable). Default true.
    */
 
   // --- Public init: opts.apiBase, opts.apiKey, opts.useServerTts, opts.accountVerifyUrl, etc. ---
@@ -3323,6 +6957,19 @@ if (!global.speechSynthesis) return;
       else if (normalized.root && normalized.root.nodeType === 1) $root = normalized.root;
     }
     useServerTts = !!normalized.useServerTts;
+    configLocale = normalized.locale || '';
+    localeBaseUrl = normalized.localeBaseUrl || '';
+    fontBaseUrl = normalized.fontBaseUrl || '';
+    configDirection = normalized.direction || '';
+    if (normalized.guestMode !== undefined) state.guestMode = normalized.guestMode;
+    configureHostPolicy(normalized);
+    maxPresets = normalized.maxPresets || MAX_PRESETS;
+    filterExclude = normalized.filterExclude || '';
+    configSchedule = (normalized.schedule || []).map(function (r) { return normalizeScheduleRule(r, 'OpenAccessibleConfig.schedule'); }).filter(Boolean);
+    shareLinksEnabled = normalized.shareLinks !== false;
+    shareLinkPersist = normalized.shareLinkPersist !== false;
+    profileRules = normalized.profiles || [];
+    activeProfile = resolveProfile();
     useServerTts = !!opts.useServerTts;
     if (typeof opts.dictionaryApiUrl === 'string') dictionaryApiUrl = opts.dictionaryApiUrl;
     if (typeof opts.iconUrl === 'string' && opts.iconUrl.length > 0) iconUrl = opts.iconUrl;
@@ -3331,17 +6978,23 @@ if (!global.speechSynthesis) return;
     else if (opts.root && opts.root.nodeType) $root = opts.root;
     readStorage();
     if (apiBase) syncApiPreferences('load');
+    var initialLocale = resolveLocale();
+    loadLocaleStrings(initialLocale);
+    widgetDir = resolveDirection();
     injectStyles();
     applyToDocument();
-    if (state.dyslexiaFont) loadDyslexiaFont();
     createToolbar();
     createPanel();
+    syncProfileScopeControl();
     document.getElementById('openaccessible-panel').style.display = 'none';
     if (apiKey && accountVerifyUrl) checkOpenAccessibleAccount();
     initDictionary();
     initReadingGuide();
     injectSkipLink();
     ensureVoiceNavigation();
+    watchDocumentLang();
+    watchStorageSync();
+    if (initialLocale !== localeCode) switchLocale(initialLocale);
     document.body.addEventListener('click', function (e) {
       const t = e.target;
       if (t && t.closest && t.closest('#openaccessible-toolbar')) return;
@@ -3373,22 +7026,51 @@ if (!global.speechSynthesis) return;
         var btn = tb && tb.querySelector('[data-oa-open]');
         if (btn) btn.classList.toggle('active', open);
       }
+      if (e.altKey && !e.ctrlKey && !e.metaKey && (e.code === 'KeyG' || e.key.toLowerCase() === 'g') && readingGuideEl) {
+        e.preventDefault();
+        readingGuideEl.firstChild.focus();
+      }
     });
+    evaluateSchedule();
+    syncScheduleTimer();
+    applyShareLink();
     emit('ready', { state, version: WIDGET_VERSION });
     return {
       getState: function () { return { ...state }; },
-      setState: function (s) { state = { ...state, ...s }; applyToDocument(); writeStorage(); },
+      setState: function (s) { return updateState(s); },
       openPanel: function () { togglePanel(true); },
       closePanel: function () { togglePanel(false); },
       reset: reset,
       stopTTS: stopTTS,
       getPresets: getSavedPresets,
-      getBuiltinPresets: function () { return Object.keys(BUILTIN_PRESETS).map(function (id) { return { id: id, name: BUILTIN_PRESETS[id].name }; }); },
+      getBuiltinPresets: function () { var available = getAvailablePresets(); return Object.keys(available).map(function (id) { return { id: id, name: available[id].name, host: available[id].host }; }); },
       applyPreset: applyPreset,
       saveCurrentAsPreset: saveCurrentAsPreset,
       deletePreset: deletePreset,
       showKeyboardShortcuts: showKeyboardShortcuts,
       showAbout: showAbout,
+      undo: undo,
+      redo: redo,
+      getShareLink: getShareLink,
+      copyShareLink: copyShareLink,
+      showPresetManager: showPresetManager,
+      renamePreset: renamePreset,
+      duplicatePreset: duplicatePreset,
+      updatePresetState: updatePresetState,
+      movePreset: movePreset,
+      getPresetOverrides: getPresetOverrides,
+      getContrastReport: getContrastReport,
+      exportPresetPack: exportPresetPack,
+      getSchedule: getSchedule,
+      setSchedule: setSchedule,
+      getScheduleStatus: getScheduleStatus,
+      resumeSchedule: resumeSchedule,
+      importPresetPack: importPresetPack,
+      getProfiles: getProfiles,
+      clearProfile: clearProfile,
+      setProfileScope: setProfileScope,
+      setLocale: setLocale,
+      getLocale: function () { return localeCode; },
       translate: function (text, targetLang, done) { requestTranslate(text, targetLang, done || function () {}); },
       getHeadingsSummary: getHeadingsSummary,
       getImagesWithoutAlt: getImagesWithoutAlt,
@@ -3402,6 +7084,9 @@ if (!global.speechSynthesis) return;
     };
   }
 
+  // document.currentScript is only set while this file executes, so capture the asset base now.
+  scriptBase = getScriptBase();
+
   // --- Auto-init on load: use OpenAccessibleConfig if set, else init({}) ---
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', function () {